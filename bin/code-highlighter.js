@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * Code Highlighter command line tool
+ *
+ * Works on the highlights.json of a workspace folder without VS Code, so CI can
+ * validate it, list highlights, prune entries of deleted files and export the
+ * architecture report as JSON. Also a git merge driver for highlights.json.
+ *
+ * @author AmazingCrab
+ */
+
+const fs = require('fs');
+const path = require('path');
+const highlightsCore = require('../lib/highlights-core');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Usage text shown by --help and after a usage error
+ */
+const USAGE = `Usage: code-highlighter <command> [options]
+       code-highlighter merge <base> <ours> <theirs> [-o <output>]
+
+Commands:
+  validate              Check highlights.json and its highlights against the workspace files
+  list                  List the highlights of the workspace
+  prune                 Remove the highlights of files that no longer exist
+  report                Print the architecture report as JSON
+  merge                 Merge two branches of highlights.json (git merge driver)
+
+Options:
+  -w, --workspace <dir> Workspace folder (default: current directory)
+  -f, --file <path>     highlights.json to use (default: <workspace>/highlights.json)
+  --by <layer|file>     Group the list by layer or by file (default: layer)
+  --json                Print validate and list results as JSON
+  --dry-run             Show what prune would remove without writing the file
+  -o, --output <path>   File merge writes to (default: <ours>, as git expects)
+  -h, --help            Show this help
+
+Exit codes: 0 on success, 1 if problems or merge conflicts were found, 2 on usage or read errors`;
+
+/**
+ * Exit codes of the tool
+ */
+const EXIT_OK = 0;
+const EXIT_PROBLEMS = 1;
+const EXIT_ERROR = 2;
+
+/**
+ * Commands by name
+ * @type {Object<string, function(Object): number>}
+ */
+const COMMANDS = {
+    validate: validateCommand,
+    list: listCommand,
+    prune: pruneCommand,
+    report: reportCommand,
+    merge: mergeCommand
+};
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+/**
+ * Runs the tool with the given command line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {number} Exit code
+ */
+function main(argv) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        console.error(`code-highlighter: ${error.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return options.help ? EXIT_OK : EXIT_ERROR;
+    }
+
+    try {
+        return COMMANDS[options.command](options);
+    } catch (error) {
+        console.error(`code-highlighter: ${error.message}`);
+        return EXIT_ERROR;
+    }
+}
+
+/**
+ * Parses the command line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {{command: string|null, paths: string[], workspace: string, file: string, output: string|null, by: string, json: boolean, dryRun: boolean, help: boolean}} Options
+ * @throws {Error} If an argument is unknown or a value is missing
+ */
+function parseArguments(argv) {
+    const options = { command: null, paths: [], workspace: process.cwd(), file: null, output: null, by: 'layer', json: false, dryRun: false, help: false };
+    const takeValue = (index, name) => {
+        if (index >= argv.length || argv[index].startsWith('-')) {
+            throw new Error(`${name} needs a value`);
+        }
+        return argv[index];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-w' || arg === '--workspace') {
+            options.workspace = path.resolve(takeValue(++i, arg));
+        } else if (arg === '-f' || arg === '--file') {
+            options.file = path.resolve(takeValue(++i, arg));
+        } else if (arg === '--by') {
+            options.by = takeValue(++i, arg);
+            if (!['layer', 'file'].includes(options.by)) {
+                throw new Error('--by must be "layer" or "file"');
+            }
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = path.resolve(takeValue(++i, arg));
+        } else if (!arg.startsWith('-') && !options.command) {
+            if (!COMMANDS[arg]) {
+                throw new Error(`unknown command "${arg}"`);
+            }
+            options.command = arg;
+        } else if (!arg.startsWith('-') && options.command === 'merge') {
+            options.paths.push(path.resolve(arg));
+        } else {
+            throw new Error(`unknown argument "${arg}"`);
+        }
+    }
+
+    if (options.command === 'merge' && options.paths.length !== 3) {
+        throw new Error('merge needs the base, ours and theirs files');
+    }
+    options.file = options.file || path.join(options.workspace, 'highlights.json');
+    return options;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Handler for the 'validate' command
+ * Reports invalid entries of highlights.json, highlights of missing files,
+ * ranges past the end of their file and anchors that cannot be found
+ * @param {Object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function validateCommand(options) {
+    const file = readHighlights(options);
+    const staleHighlights = highlightsCore.findStaleHighlights(file.data, filePath => readWorkspaceFile(options, filePath));
+    const problems = file.problems.concat(staleHighlights.map(stale => {
+        const location = stale.layerId === undefined ?
+            `files[${JSON.stringify(stale.filePath)}]` :
+            `files[${JSON.stringify(stale.filePath)}][${JSON.stringify(stale.layerId)}][${stale.index}]`;
+        return `${location}: ${stale.problem}`;
+    }));
+
+    if (options.json) {
+        console.log(JSON.stringify({ file: options.file, migratedFrom: file.migratedFrom, problems }, null, 2));
+    } else {
+        if (file.migratedFrom !== null) {
+            console.log(`${options.file}: version ${file.migratedFrom}, the extension upgrades it to ${highlightsCore.HIGHLIGHTS_SCHEMA_VERSION} on the next save`);
+        }
+        problems.forEach(problem => console.log(`${options.file}: ${problem}`));
+        const highlightCount = highlightsCore.getHighlightEntries(file.data).length;
+        console.log(`${highlightCount} highlight(s) checked, ${problems.length} problem(s) found`);
+    }
+    return problems.length > 0 ? EXIT_PROBLEMS : EXIT_OK;
+}
+
+/**
+ * Handler for the 'list' command
+ * Prints every highlight grouped by layer or by file
+ * @param {Object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function listCommand(options) {
+    const file = readHighlights(options);
+    const entries = highlightsCore.getHighlightEntries(file.data);
+
+    if (options.json) {
+        console.log(JSON.stringify(entries.map(item => Object.assign(
+            { file: item.filePath, layer: item.layerId },
+            item.entry
+        )), null, 2));
+        return EXIT_OK;
+    }
+
+    const groups = new Map();
+    entries.forEach(item => {
+        const key = options.by === 'file' ? item.filePath : item.layerId;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+
+    Array.from(groups.keys()).sort().forEach(key => {
+        const heading = options.by === 'file' ? key : `${getLayerName(file.data, key)} (${key})`;
+        console.log(`${heading}: ${groups.get(key).length} highlight(s)`);
+        groups.get(key).forEach(item => {
+            const where = options.by === 'file' ? getLayerName(file.data, item.layerId) : item.filePath;
+            const note = item.entry.note ? ` - ${item.entry.note.split('\n')[0]}` : '';
+            const orphaned = item.entry.orphaned ? ' [orphaned]' : '';
+            const endLine = item.entry.startLine + highlightsCore.countHighlightLines(item.entry);
+            console.log(`  ${where}:${item.entry.startLine + 1}-${endLine}${orphaned}${note}`);
+        });
+    });
+    return EXIT_OK;
+}
+
+/**
+ * Handler for the 'prune' command
+ * Removes the highlights of files that no longer exist and rewrites highlights.json
+ * Refuses to write a file with invalid entries, since they would be dropped with it
+ * @param {Object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function pruneCommand(options) {
+    const file = readHighlights(options);
+    const { data, removedFiles } = highlightsCore.pruneMissingFiles(
+        file.data,
+        filePath => fs.existsSync(highlightsCore.resolveWorkspacePath(options.workspace, filePath))
+    );
+
+    removedFiles.forEach(filePath => console.log(`${options.dryRun ? 'Would remove' : 'Removed'} highlights of ${filePath}`));
+    if (removedFiles.length === 0) {
+        console.log('No highlights of missing files');
+        return EXIT_OK;
+    }
+    if (options.dryRun) return EXIT_OK;
+
+    if (file.problems.length > 0) {
+        console.error(`${options.file} has ${file.problems.length} invalid entr(ies), run "code-highlighter validate" and fix them first`);
+        return EXIT_PROBLEMS;
+    }
+
+    writeFileAtomically(options.file, JSON.stringify(data, null, 2));
+    return EXIT_OK;
+}
+
+/**
+ * Handler for the 'report' command
+ * Prints the architecture report, the same data the extension exports, as JSON
+ * @param {Object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function reportCommand(options) {
+    const file = readHighlights(options);
+    const report = highlightsCore.buildArchitectureReport(
+        [{ name: path.basename(options.workspace), root: options.workspace, data: file.data }],
+        {
+            getLayer: layerId => {
+                const layer = file.data.layers[layerId] || {};
+                return { name: layer.name || layerId, description: layer.description || '', value: layer.color || '' };
+            },
+            readFileText: absolutePath => readFileText(absolutePath)
+        }
+    );
+    console.log(JSON.stringify(report, null, 2));
+    return EXIT_OK;
+}
+
+/**
+ * Handler for the 'merge' command, usable as a git merge driver:
+ *   git config merge.code-highlighter.driver "code-highlighter merge %O %A %B"
+ * Merges highlights file by file and layer by layer instead of line by line. A range
+ * highlighted in different layers on each branch, or rules changed on both, is a
+ * conflict: the file is written with conflict markers around our and their resolution,
+ * for the 'Resolve highlights.json merge conflicts' command or a hand edit
+ * @param {Object} options - Parsed options
+ * @returns {number} Exit code; git treats anything but 0 as a conflict
+ */
+function mergeCommand(options) {
+    const [basePath, oursPath, theirsPath] = options.paths;
+    const output = options.output || oursPath;
+    const [base, ours, theirs] = [basePath, oursPath, theirsPath].map(readMergeVersion);
+
+    const invalidVersions = [['base', base], ['ours', ours], ['theirs', theirs]].filter(([, file]) => file.problems.length > 0);
+    if (invalidVersions.length > 0) {
+        invalidVersions.forEach(([side, file]) => file.problems.forEach(problem => console.error(`${side}: ${problem}`)));
+        console.error('code-highlighter: invalid entries would be lost in the merge, fix them and merge again');
+        return EXIT_PROBLEMS;
+    }
+
+    const { data, conflicts } = highlightsCore.mergeHighlightsBranches(base.data, ours.data, theirs.data);
+    if (conflicts.length === 0) {
+        writeFileAtomically(output, JSON.stringify(data, null, 2));
+        return EXIT_OK;
+    }
+
+    conflicts.forEach(conflict => console.error(`conflict: ${describeConflict(conflict)}`));
+    const oursText = JSON.stringify(highlightsCore.resolveMergeConflicts(data, conflicts, conflicts.map(() => 'ours')), null, 2);
+    const theirsText = JSON.stringify(highlightsCore.resolveMergeConflicts(data, conflicts, conflicts.map(() => 'theirs')), null, 2);
+    writeFileAtomically(output, highlightsCore.formatConflictMarkers(oursText, theirsText));
+    return EXIT_PROBLEMS;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Reads, migrates and validates the highlights.json given in the options
+ * @param {Object} options - Parsed options
+ * @returns {{data: Object, problems: string[], migratedFrom: number|null}} Highlights data, skipped entries and original version
+ * @throws {Error} If the file does not exist or cannot be read
+ */
+function readHighlights(options) {
+    let file;
+    try {
+        file = highlightsCore.readHighlightsFile(options.file);
+    } catch (error) {
+        throw new Error(`error reading ${options.file}: ${error.message}`);
+    }
+    if (!file.data) {
+        throw new Error(`${options.file} does not exist`);
+    }
+    return file;
+}
+
+/**
+ * Reads one side of a merge
+ * An empty file, which git passes as the base when both branches added highlights.json, has no highlights
+ * @param {string} filePath - Path of the file
+ * @returns {{data: Object, problems: string[]}} Highlights data and skipped entries
+ * @throws {Error} If the file cannot be read or is not valid highlights.json
+ */
+function readMergeVersion(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`error reading ${filePath}: ${error.message}`);
+    }
+    if (content.trim() === '') {
+        return { data: { layers: {}, files: {} }, problems: [] };
+    }
+
+    try {
+        return highlightsCore.parseHighlightsText(content);
+    } catch (error) {
+        throw new Error(`error reading ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Describes a merge conflict in one line
+ * @param {Object} conflict - Conflict of mergeHighlightsBranches
+ * @returns {string} Description
+ */
+function describeConflict(conflict) {
+    if (conflict.field) {
+        return `"${conflict.field}" changed on both branches`;
+    }
+    const range = conflict.range;
+    return `${conflict.filePath}:${range.startLine + 1}:${range.startCharacter + 1}-${range.endLine + 1}:${range.endCharacter + 1} ` +
+        `is in layer ${conflict.oursLayerIds.join(', ')} on ours and ${conflict.theirsLayerIds.join(', ')} on theirs`;
+}
+
+/**
+ * Writes a file through a temporary file, the same way the extension saves highlights.json
+ * @param {string} filePath - Path of the file
+ * @param {string} content - New content
+ */
+function writeFileAtomically(filePath, content) {
+    const temporaryFile = `${filePath}.tmp`;
+    fs.writeFileSync(temporaryFile, content, 'utf8');
+    fs.renameSync(temporaryFile, filePath);
+}
+
+/**
+ * Reads a file of the workspace by its path relative to the workspace folder
+ * @param {Object} options - Parsed options
+ * @param {string} filePath - Relative path, as used in highlights.json
+ * @returns {string|null} File text or null if the file cannot be read
+ */
+function readWorkspaceFile(options, filePath) {
+    return readFileText(highlightsCore.resolveWorkspacePath(options.workspace, filePath));
+}
+
+/**
+ * Reads a text file
+ * @param {string} absolutePath - Path of the file
+ * @returns {string|null} File text or null if the file cannot be read
+ */
+function readFileText(absolutePath) {
+    try {
+        return fs.readFileSync(absolutePath, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets the name of a layer from the layers table of highlights.json
+ * @param {{layers: Object}} data - Highlights data
+ * @param {string} layerId - Layer id
+ * @returns {string} Layer name, or the id if the file has no name for it
+ */
+function getLayerName(data, layerId) {
+    const layer = data.layers[layerId];
+    return layer && layer.name ? layer.name : layerId;
+}
+
+process.exitCode = main(process.argv.slice(2));
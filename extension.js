@@ -12,6 +12,38 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const highlightsCore = require('./lib/highlights-core');
+const {
+    HIGHLIGHTS_SCHEMA_VERSION,
+    HIGHLIGHT_METADATA_FIELDS,
+    HAND_EDITED_FIELDS,
+    isValidColor,
+    isValidLayerId,
+    slugifyLayerName,
+    validateLayerRule,
+    validateDependencyRule,
+    parsePalette,
+    parseHighlightsText,
+    createAnchor,
+    relocateHighlightEntry,
+    countRelocatedEntries,
+    toHighlightEntry,
+    getLineOffsets,
+    positionToOffset,
+    offsetToPosition,
+    mergeHighlightsData,
+    stableStringify,
+    hasConflictMarkers,
+    splitConflictMarkers,
+    mergeHighlightsBranches,
+    resolveMergeConflicts,
+    normalizeWorkspacePath,
+    resolveWorkspacePath,
+    countTextLines,
+    countHighlightLines
+} = highlightsCore;
 
 // ============================================================================
 // GLOBAL STATE
@@ -19,16 +51,38 @@ const path = require('path');
 
 /**
  * Map storing all highlights by document URI
- * Structure: Map<uri: string, Map<color: string, Decoration[]>>
+ * Structure: Map<uri: string, Map<layerId: string, Decoration[]>>
+ * Decoration: { range: vscode.Range, anchor?: Object, orphaned?: boolean,
+ *               note?: string, tags?: string[], author?: string, createdAt?: string, updatedAt?: string,
+ *               auto?: boolean - true if added by a layer rule; re-running the rules replaces it,
+ *               symbol?: {path: string[], kind: string} - symbol whose range the highlight follows }
  */
 let highlightDecorations = new Map();
 
 /**
- * Map storing decoration types by color
- * Structure: Map<color: string, TextEditorDecorationType>
+ * Map storing decoration types by layer id
+ * Structure: Map<layerId: string, TextEditorDecorationType>
  */
 let decorationTypes = new Map();
 
+/**
+ * Layers read from the "layers" table of highlights.json files
+ * Used for highlights whose layer is not configured in settings
+ * Structure: Map<layerId: string, {name: string, description: string, value: string}>
+ */
+let savedLayers = new Map();
+
+/**
+ * Cached result of getAvailableColors, cleared when the configuration changes
+ */
+let availableColorsCache = null;
+
+/**
+ * Canonical JSON of the palette shared in highlights.json that the layers were last built from
+ * null while no workspace folder shares a palette
+ */
+let workspacePaletteContent = null;
+
 /**
  * Extension context for VS Code API
  */
@@ -39,48 +93,385 @@ let context;
  */
 let colorsEnabled = true;
 
+/**
+ * Layers hidden by the user, persisted per workspace
+ * Structure: Set<layerId: string>
+ */
+let hiddenLayers = new Set();
+
+/**
+ * Layers kept in focus mode, or null when focus mode is off
+ * In focus mode only these layers are painted and the rest of the code is dimmed
+ * Structure: Set<layerId: string>|null
+ */
+let focusedLayers = null;
+
+/**
+ * Decoration type dimming the code outside the focused layers
+ */
+let focusDimDecorationType = null;
+
 /**
  * Status bar item showing current toggle state
  */
 let statusBarItem;
 
+/**
+ * Status bar item showing the layers of the highlights under the cursor
+ */
+let cursorLayerStatusBarItem;
+
+/**
+ * Event fired whenever highlights are added, removed, moved or reloaded
+ */
+const highlightsChangedEmitter = new vscode.EventEmitter();
+
+/**
+ * Tree data provider for the Highlight Explorer view
+ */
+let highlightExplorerProvider;
+
+/**
+ * File decoration provider painting layer badges in the Explorer and on editor tabs
+ */
+let highlightFileDecorationProvider;
+
+/**
+ * highlights.json stores, one per workspace folder
+ * Structure: Map<folderUri: string, HighlightStore>
+ * HighlightStore: {
+ *   folder: vscode.WorkspaceFolder,
+ *   lastSyncedContent: string|null - content last read or written, used to ignore our own writes,
+ *   lastSyncedHighlights: Object - data last read or written, the base of three-way merges,
+ *   hasErrors: boolean - true while the file cannot be parsed; saving is suspended meanwhile,
+ *   dirtyFiles: Set<string> - URIs of documents whose highlights changed since the last write,
+ *   isFullyDirty: boolean - true if every file must be re-serialized on the next write,
+ *   pendingWrite: Promise<void> - last queued write,
+ *   watcher: vscode.FileSystemWatcher
+ * }
+ */
+let highlightStores = new Map();
+
+/**
+ * Timer of the pending debounced save
+ */
+let saveTimer = null;
+
+/**
+ * Timer of the pending debounced highlights change notification
+ */
+let notifyTimer = null;
+
+/**
+ * Timers of the pending symbol re-anchoring, by document URI
+ * Structure: Map<uri: string, NodeJS.Timeout>
+ */
+let symbolResyncTimers = new Map();
+
+/**
+ * Output channel for detailed messages (invalid highlights.json entries, migrations)
+ */
+let outputChannel;
+
+/**
+ * Problems panel entries for layer dependency violations
+ */
+let dependencyDiagnostics;
+
+/**
+ * Layer dependency violations of the last check, by document URI, used by the quick fixes
+ * Structure: Map<uri: string, Array<{diagnostic: vscode.Diagnostic, source: Object, target: Object}>>
+ *   source and target are highlight nodes: the highlight with the dependency and the one it depends on
+ */
+let dependencyViolations = new Map();
+
+/**
+ * Timer of the pending debounced dependency check
+ */
+let dependencyCheckTimer = null;
+
+/**
+ * Number of the latest dependency check, so an earlier check still reading files does not publish stale results
+ */
+let dependencyCheckGeneration = 0;
+
+/**
+ * Webview panel of the coverage dashboard, null while it is closed
+ */
+let coveragePanel = null;
+
+/**
+ * Files of each workspace folder shown in the coverage dashboard
+ * Structure: Array<{store: Object, files: Array<{uri: string, path: string, lineCount: number}>}>
+ */
+let coverageFiles = null;
+
+/**
+ * Timer of the pending debounced coverage dashboard update
+ */
+let coverageRefreshTimer = null;
+
+/**
+ * Undo and redo stacks of highlight changes, persisted per workspace
+ * Structure: {undo: HistoryEntry[], redo: HistoryEntry[]}
+ * HistoryEntry: {id: string, label: string, before: Snapshot, after: Snapshot}
+ * Snapshot: {files: Object<uri, fileData|null>, rules?: Object<folderUri, Object>}
+ *   rules holds the hand-edited fields (rule lists, palette) of each folder's highlights.json (see HAND_EDITED_FIELDS)
+ *   fileData is the highlights.json structure of the file, null if it had no highlights
+ */
+let highlightHistory = { undo: [], redo: [] };
+
+/**
+ * Key of the layer visibility state in workspaceState
+ */
+const LAYER_VISIBILITY_STATE_KEY = 'codeHighlighter.layerVisibility';
+
+/**
+ * Key of the undo/redo history in workspaceState
+ */
+const HIGHLIGHT_HISTORY_STATE_KEY = 'codeHighlighter.history';
+
+/**
+ * Maximum number of highlight changes that can be undone
+ */
+const HIGHLIGHT_HISTORY_MAX_ENTRIES = 50;
+
+/**
+ * Opacity of the code outside the focused layers in focus mode
+ */
+const FOCUS_DIM_OPACITY = '0.35';
+
+/**
+ * Kinds of symbols that can be highlighted with the symbol commands
+ */
+const HIGHLIGHTABLE_SYMBOL_KINDS = ['Module', 'Namespace', 'Class', 'Interface', 'Struct', 'Enum', 'Method', 'Constructor', 'Function'];
+
+/**
+ * Delay (ms) after the last edit before symbol highlights are re-anchored to their symbols
+ */
+const SYMBOL_RESYNC_DELAY = 750;
+
+/**
+ * Architecture report formats
+ * Structure: Array<{id: string, label: string, extension: string, render: function(Object): string}>
+ */
+const REPORT_FORMATS = [
+    { id: 'markdown', label: 'Markdown', extension: 'md', render: report => renderReportMarkdown(report) },
+    { id: 'html', label: 'HTML', extension: 'html', render: report => renderReportHtml(report) },
+    { id: 'csv', label: 'CSV', extension: 'csv', render: report => renderReportCsv(report) }
+];
+
+/**
+ * Maximum number of files scanned when applying layer rules to the whole workspace
+ */
+const RULES_MAX_FILES = 5000;
+
+/**
+ * Maximum number of highlights a single rule adds to one file
+ */
+const RULES_MAX_MATCHES_PER_FILE = 1000;
+
+/**
+ * Files never scanned by layer rules or coverage, whatever the settings say
+ */
+const ALWAYS_EXCLUDED_GLOBS = ['**/node_modules/**', '**/.git/**', '**/highlights.json'];
+
+/**
+ * Folders never scanned by layer rules
+ */
+const RULES_EXCLUDE_GLOB = `{${ALWAYS_EXCLUDED_GLOBS.join(',')}}`;
+
+/**
+ * Delay (ms) after the last highlight change before the coverage dashboard is updated
+ */
+const COVERAGE_REFRESH_DELAY = 500;
+
+/**
+ * Maximum number of highlighted files opened to find their unclassified symbols
+ */
+const UNCLASSIFIED_MAX_SYMBOL_FILES = 500;
+
+/**
+ * Maximum number of same-name files checked when looking for where a missing file was moved
+ */
+const MOVED_FILE_MAX_CANDIDATES = 20;
+
+/**
+ * Version of the API returned by activate; increased on breaking changes
+ */
+const PUBLIC_API_VERSION = 1;
+
+/**
+ * Delay (ms) after the last change before the layer dependency rules are checked again
+ */
+const DEPENDENCY_CHECK_DELAY = 1500;
+
+/**
+ * Severities of layer dependency rules and their diagnostic severity
+ */
+const DEPENDENCY_SEVERITIES = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information,
+    hint: vscode.DiagnosticSeverity.Hint
+};
+
+/**
+ * Extensions tried, in order, when resolving a relative import without one
+ */
+const DEPENDENCY_MODULE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.vue'];
+
+/**
+ * Keywords and common names never treated as calls to, or declarations of, another layer
+ */
+const DEPENDENCY_IGNORED_NAMES = new Set([
+    'if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'typeof', 'instanceof', 'new', 'delete',
+    'void', 'await', 'async', 'yield', 'super', 'this', 'constructor', 'require', 'import', 'export',
+    'get', 'set', 'static', 'else', 'do', 'try', 'with', 'in', 'of', 'def', 'print', 'console'
+]);
+
+/**
+ * Theme colors contributed for file decorations (see "colors" in package.json)
+ * File decorations only accept theme colors, so each layer uses the closest one
+ * Structure: Array<{id: string, value: string}>, value is the dark theme default
+ */
+const FILE_DECORATION_COLORS = [
+    { id: 'codeHighlighter.fileDecoration.mint', value: '#00FFAA' },
+    { id: 'codeHighlighter.fileDecoration.magenta', value: '#FF00FF' },
+    { id: 'codeHighlighter.fileDecoration.cyan', value: '#00FFFF' },
+    { id: 'codeHighlighter.fileDecoration.yellow', value: '#FFFF00' },
+    { id: 'codeHighlighter.fileDecoration.pink', value: '#FF00AA' },
+    { id: 'codeHighlighter.fileDecoration.lime', value: '#00FF00' },
+    { id: 'codeHighlighter.fileDecoration.orange', value: '#FF5500' },
+    { id: 'codeHighlighter.fileDecoration.purple', value: '#AA00FF' },
+    { id: 'codeHighlighter.fileDecoration.red', value: '#FF2222' },
+    { id: 'codeHighlighter.fileDecoration.green', value: '#22FF22' },
+    { id: 'codeHighlighter.fileDecoration.blue', value: '#4A90E2' }
+];
+
 // ============================================================================
 // DEFAULT CONFIGURATION
 // ============================================================================
 
 /**
  * Default color palette for architecture layers
- * Each color includes name, description, and hex value with transparency
+ * Each color includes a stable id, name, description, and hex value with transparency
  */
 const defaultColors = [
-    { name: 'Model Layer', description: 'Data models, entities, DTOs', value: '#00FFAA50' }, // Verde fosforescente
-    { name: 'View Layer', description: 'UI components, templates, views', value: '#FF00FF50' }, // Magenta neón
-    { name: 'Controller Layer', description: 'Request handlers, routing controllers', value: '#00FFFF50' }, // Cian brillante
-    { name: 'Service Layer', description: 'Business logic, service classes', value: '#FFFF0050' }, // Amarillo neón
-    { name: 'Data Access', description: 'Database queries, repositories, ORM', value: '#FF00AA50' }, // Rosa fluorescente
-    { name: 'API Routes', description: 'API endpoints, route definitions', value: '#00FF0050' }, // Verde lima
-    { name: 'Utilities', description: 'Helper functions, utilities', value: '#FF550050' }, // Naranja eléctrico
-    { name: 'Configuration', description: 'Config files, settings, constants', value: '#AA00FF50' }, // Púrpura vibrante
-    { name: 'Authentication', description: 'Auth logic, JWT, sessions, security', value: '#FF222250' }, // Rojo neón
-    { name: 'Testing', description: 'Test cases, testing code', value: '#22FF2250' } // Verde brillante
+    { id: 'model', name: 'Model Layer', description: 'Data models, entities, DTOs', value: '#00FFAA50' }, // Verde fosforescente
+    { id: 'view', name: 'View Layer', description: 'UI components, templates, views', value: '#FF00FF50' }, // Magenta neón
+    { id: 'controller', name: 'Controller Layer', description: 'Request handlers, routing controllers', value: '#00FFFF50' }, // Cian brillante
+    { id: 'service', name: 'Service Layer', description: 'Business logic, service classes', value: '#FFFF0050' }, // Amarillo neón
+    { id: 'data-access', name: 'Data Access', description: 'Database queries, repositories, ORM', value: '#FF00AA50' }, // Rosa fluorescente
+    { id: 'api-routes', name: 'API Routes', description: 'API endpoints, route definitions', value: '#00FF0050' }, // Verde lima
+    { id: 'utilities', name: 'Utilities', description: 'Helper functions, utilities', value: '#FF550050' }, // Naranja eléctrico
+    { id: 'configuration', name: 'Configuration', description: 'Config files, settings, constants', value: '#AA00FF50' }, // Púrpura vibrante
+    { id: 'authentication', name: 'Authentication', description: 'Auth logic, JWT, sessions, security', value: '#FF222250' }, // Rojo neón
+    { id: 'testing', name: 'Testing', description: 'Test cases, testing code', value: '#22FF2250' } // Verde brillante
+];
+
+/**
+ * Built-in palettes for common architectures, in the palette format of highlights.json
+ * Layers shared with the default palette keep its id and color
+ */
+const PALETTE_PRESETS = [
+    {
+        id: 'mvc',
+        name: 'MVC',
+        description: 'Model-View-Controller',
+        layers: [
+            { id: 'model', name: 'Model', description: 'Data, state and business rules', color: '#00FFAA50' },
+            { id: 'view', name: 'View', description: 'Templates and UI components', color: '#FF00FF50' },
+            { id: 'controller', name: 'Controller', description: 'Input handling, routing to models and views', color: '#00FFFF50' }
+        ]
+    },
+    {
+        id: 'clean-architecture',
+        name: 'Clean Architecture',
+        description: 'Entities, use cases, interface adapters, frameworks and drivers',
+        layers: [
+            { id: 'entities', name: 'Entities', description: 'Enterprise business rules', color: '#00FFAA50' },
+            { id: 'use-cases', name: 'Use Cases', description: 'Application business rules', color: '#FFFF0050' },
+            { id: 'interface-adapters', name: 'Interface Adapters', description: 'Controllers, presenters, gateways', color: '#00FFFF50' },
+            { id: 'frameworks-drivers', name: 'Frameworks & Drivers', description: 'Web, UI, database, devices', color: '#FF00AA50' }
+        ]
+    },
+    {
+        id: 'hexagonal',
+        name: 'Hexagonal',
+        description: 'Ports and adapters',
+        layers: [
+            { id: 'domain', name: 'Domain', description: 'Domain model and rules', color: '#00FFAA50' },
+            { id: 'application', name: 'Application', description: 'Application services, orchestration', color: '#FFFF0050' },
+            { id: 'ports', name: 'Ports', description: 'Interfaces the core exposes and needs', color: '#AA00FF50' },
+            { id: 'driving-adapters', name: 'Driving Adapters', description: 'REST, CLI, UI, message consumers', color: '#00FFFF50' },
+            { id: 'driven-adapters', name: 'Driven Adapters', description: 'Repositories, API clients, message producers', color: '#FF00AA50' }
+        ]
+    },
+    {
+        id: 'ddd',
+        name: 'DDD Bounded Contexts',
+        description: 'Domain-Driven Design building blocks',
+        layers: [
+            { id: 'aggregates', name: 'Aggregates & Entities', description: 'Aggregate roots, entities, value objects', color: '#00FFAA50' },
+            { id: 'domain-services', name: 'Domain Services', description: 'Domain logic that belongs to no entity', color: '#22FF2250' },
+            { id: 'domain-events', name: 'Domain Events', description: 'Events raised by the domain', color: '#FF550050' },
+            { id: 'application-services', name: 'Application Services', description: 'Use cases, commands and queries', color: '#FFFF0050' },
+            { id: 'infrastructure', name: 'Infrastructure', description: 'Repositories, persistence, messaging', color: '#FF00AA50' },
+            { id: 'anti-corruption', name: 'Anti-Corruption Layer', description: 'Translation to other bounded contexts', color: '#FF222250' },
+            { id: 'shared-kernel', name: 'Shared Kernel', description: 'Model shared between bounded contexts', color: '#AA00FF50' }
+        ]
+    },
+    {
+        id: 'mvvm',
+        name: 'MVVM',
+        description: 'Model-View-ViewModel',
+        layers: [
+            { id: 'model', name: 'Model', description: 'Data and business logic', color: '#00FFAA50' },
+            { id: 'view', name: 'View', description: 'UI layout and bindings', color: '#FF00FF50' },
+            { id: 'view-model', name: 'ViewModel', description: 'Presentation state and commands', color: '#00FFFF50' },
+            { id: 'services', name: 'Services', description: 'Data sources, APIs, platform services', color: '#FFFF0050' }
+        ]
+    }
 ];
 
+/**
+ * Delay in milliseconds between the last highlight change and the write of highlights.json
+ */
+const SAVE_DEBOUNCE_DELAY = 500;
+
+/**
+ * Delay in milliseconds between the last edit that shifted highlights and the change notification
+ */
+const NOTIFY_DEBOUNCE_DELAY = 300;
+
 // ============================================================================
 // COLOR CONFIGURATION FUNCTIONS
 // ============================================================================
 
 /**
- * Gets the available colors from user configuration or defaults
+ * Gets the available colors from the workspace palette, user configuration or defaults
+ * A palette shared in highlights.json overrides the user settings, so the whole team uses the same layers
  * Validates color format and filters out invalid entries
- * @returns {Array<{name: string, description: string, value: string}>} Array of valid color objects
+ * Every color (layer) gets a stable id: the configured one, or one derived from its name
+ * @returns {Array<{id: string, name: string, description: string, value: string}>} Array of valid color objects
  */
 function getAvailableColors() {
+    if (availableColorsCache) return availableColorsCache;
+
+    const workspacePalette = getWorkspacePalette();
+    if (workspacePalette) {
+        availableColorsCache = paletteToColors(workspacePalette.palette);
+        return availableColorsCache;
+    }
+
     const config = vscode.workspace.getConfiguration('codeHighlighter');
     const customColors = config.get('customColors', defaultColors);
 
     if (!Array.isArray(customColors) || customColors.length === 0) {
         vscode.window.showWarningMessage('Invalid color configuration. Using default colors.');
-        return defaultColors;
+        availableColorsCache = defaultColors;
+        return availableColorsCache;
     }
 
     const validColors = customColors.filter(color =>
@@ -92,21 +483,86 @@ function getAvailableColors() {
 
     if (validColors.length === 0) {
         vscode.window.showWarningMessage('No valid colors found in configuration. Using default colors.');
-        return defaultColors;
+        availableColorsCache = defaultColors;
+        return availableColorsCache;
     }
 
-    return validColors;
+    availableColorsCache = assignLayerIds(validColors);
+    return availableColorsCache;
+}
+
+/**
+ * Gives every color a unique layer id
+ * @param {Array<{id?: string, name: string}>} colors - Configured colors
+ * @returns {Array<{id: string, name: string}>} Colors with ids
+ */
+function assignLayerIds(colors) {
+    const usedIds = new Set();
+    return colors.map(color => {
+        const baseId = typeof color.id === 'string' && isValidLayerId(color.id) ? color.id : slugifyLayerName(color.name);
+        let id = baseId;
+        let suffix = 2;
+        while (usedIds.has(id)) {
+            id = `${baseId}-${suffix++}`;
+        }
+        usedIds.add(id);
+        return Object.assign({}, color, { id });
+    });
+}
+
+/**
+ * Gets a layer by id
+ * Settings win over the layers saved in highlights.json; unknown layers get the default color
+ * @param {string} layerId - Layer id
+ * @returns {{id: string, name: string, description: string, value: string}} Layer
+ */
+function getLayer(layerId) {
+    const configuredLayer = getAvailableColors().find(color => color.id === layerId);
+    if (configuredLayer) return configuredLayer;
+
+    const savedLayer = savedLayers.get(layerId);
+    if (savedLayer) return Object.assign({ id: layerId }, savedLayer);
+
+    const defaultColor = vscode.workspace.getConfiguration('codeHighlighter').get('defaultColor', defaultColors[0].value);
+    return {
+        id: layerId,
+        name: layerId,
+        description: '',
+        value: isValidColor(defaultColor) ? defaultColor : defaultColors[0].value
+    };
+}
+
+/**
+ * Gets the decoration type of a layer, creating it on first use
+ * @param {string} layerId - Layer id
+ * @returns {vscode.TextEditorDecorationType} Decoration type
+ */
+function getDecorationType(layerId) {
+    let decorationType = decorationTypes.get(layerId);
+    if (!decorationType) {
+        decorationType = createDecorationType(getLayer(layerId).value);
+        decorationTypes.set(layerId, decorationType);
+    }
+    return decorationType;
 }
 
 /**
- * Gets color metadata (name and description) by color value
- * @param {string} colorValue - Hex color value to search for
- * @returns {{name: string, description: string}|null} Color metadata or null if not found
+ * Re-renders every highlight after layers changed (color, name or description)
+ * Decoration types are recreated because their color cannot be updated
  */
-function getColorMetadata(colorValue) {
-    const availableColors = getAvailableColors();
-    const color = availableColors.find(c => c.value === colorValue);
-    return color ? { name: color.name, description: color.description || '' } : null;
+function refreshLayers() {
+    availableColorsCache = null;
+    vscode.window.visibleTextEditors.forEach(editor => {
+        decorationTypes.forEach(decorationType => editor.setDecorations(decorationType, []));
+    });
+    decorationTypes.forEach(decorationType => decorationType.dispose());
+    decorationTypes.clear();
+
+    vscode.window.visibleTextEditors.forEach(editor => applyHighlights(editor));
+    if (statusBarItem) {
+        updateStatusBarButton();
+    }
+    notifyHighlightsChanged();
 }
 
 /**
@@ -164,6 +620,7 @@ function createDecorationType(color) {
  * Extension activation function called by VS Code
  * Registers all commands, event listeners, and initializes the extension
  * @param {vscode.ExtensionContext} ctx - VS Code extension context
+ * @returns {Object} Public API for other extensions, see createPublicApi
  */
 function activate(ctx) {
     context = ctx;
@@ -173,49 +630,88 @@ function activate(ctx) {
     let addHighlightCommand = vscode.commands.registerCommand('code-highlighter.addHighlight', addHighlightCommandHandler);
     let clearHighlightsCommand = vscode.commands.registerCommand('code-highlighter.clearHighlights', clearHighlightsCommandHandler);
     let clearAllHighlightsCommand = vscode.commands.registerCommand('code-highlighter.clearAllHighlights', clearAllHighlightsCommandHandler);
+    let reloadHighlightsCommand = vscode.commands.registerCommand('code-highlighter.reloadHighlights', reloadHighlightsCommandHandler);
+    let showStatusCommand = vscode.commands.registerCommand('code-highlighter.showStatus', showStatusCommandHandler);
+    let showQuickActionsCommand = vscode.commands.registerCommand('code-highlighter.showQuickActions', showQuickActionsCommandHandler);
+    let exportReportCommand = vscode.commands.registerCommand('code-highlighter.exportReport', exportReportCommandHandler);
+    let applyRulesCommand = vscode.commands.registerCommand('code-highlighter.applyRules', applyRulesCommandHandler);
+    let highlightSymbolCommand = vscode.commands.registerCommand('code-highlighter.highlightSymbol', highlightSymbolCommandHandler);
+    let highlightSymbolsCommand = vscode.commands.registerCommand('code-highlighter.highlightSymbols', highlightSymbolsCommandHandler);
+    let nextHighlightCommand = vscode.commands.registerCommand('code-highlighter.nextHighlight', args => goToAdjacentHighlight(1, args));
+    let previousHighlightCommand = vscode.commands.registerCommand('code-highlighter.previousHighlight', args => goToAdjacentHighlight(-1, args));
+    let nextHighlightInLayerCommand = vscode.commands.registerCommand('code-highlighter.nextHighlightInLayer', () => goToAdjacentHighlightInLayer(1));
+    let previousHighlightInLayerCommand = vscode.commands.registerCommand('code-highlighter.previousHighlightInLayer', () => goToAdjacentHighlightInLayer(-1));
+    let goToHighlightCommand = vscode.commands.registerCommand('code-highlighter.goToHighlight', pickAndRevealHighlight);
+    let undoHighlightChangeCommand = vscode.commands.registerCommand('code-highlighter.undoHighlightChange', () => undoHighlightChange());
+    let redoHighlightChangeCommand = vscode.commands.registerCommand('code-highlighter.redoHighlightChange', () => redoHighlightChange());
+    let applyPalettePresetCommand = vscode.commands.registerCommand('code-highlighter.applyPalettePreset', applyPalettePresetCommandHandler);
+    let importPaletteCommand = vscode.commands.registerCommand('code-highlighter.importPalette', importPaletteCommandHandler);
+    let exportPaletteCommand = vscode.commands.registerCommand('code-highlighter.exportPalette', exportPaletteCommandHandler);
+    let removeWorkspacePaletteCommand = vscode.commands.registerCommand('code-highlighter.removeWorkspacePalette', removeWorkspacePaletteCommandHandler);
 
     /**
      * Toggle command to show/hide all highlights
-     * When enabling, clears memory and reloads from file to sync with any external changes
+     * External changes to highlights.json are synced by the file watcher, no reload needed here
      */
-    let toggleHighlightsCommand = vscode.commands.registerCommand("code-highlighter.toggleHighlights", async () => {
+    let toggleHighlightsCommand = vscode.commands.registerCommand("code-highlighter.toggleHighlights", () => {
         colorsEnabled = !colorsEnabled;
 
-        if (colorsEnabled) {
-            // Clear memory and reload from file to sync with external changes
-            highlightDecorations.clear();
-            await loadSavedHighlights();
-            vscode.window.visibleTextEditors.forEach(editor => {
-                applyHighlights(editor);
-            });
-            vscode.window.showInformationMessage("Code highlights activated");
-        } else {
-            // Hide all decorations without removing from memory
-            vscode.window.visibleTextEditors.forEach(editor => {
-                decorationTypes.forEach(decorationType => {
-                    editor.setDecorations(decorationType, []);
-                });
-            });
-            vscode.window.showInformationMessage("Code highlights deactivated");
-        }
-
-        updateStatusBarButton();
+        // Hidden highlights stay in memory, applyHighlights only clears the editors
+        applyLayerVisibility();
+        vscode.window.showInformationMessage(colorsEnabled ? "Code highlights activated" : "Code highlights deactivated");
     });
+    let toggleLayerVisibilityCommand = vscode.commands.registerCommand('code-highlighter.toggleLayerVisibility', toggleLayerVisibilityCommandHandler);
+    let focusLayersCommand = vscode.commands.registerCommand('code-highlighter.focusLayers', focusLayersCommandHandler);
+    let exitFocusModeCommand = vscode.commands.registerCommand('code-highlighter.exitFocusMode', exitFocusModeCommandHandler);
 
     // Add commands to subscriptions for cleanup on deactivation
     context.subscriptions.push(addHighlightCommand);
     context.subscriptions.push(clearHighlightsCommand);
     context.subscriptions.push(clearAllHighlightsCommand);
     context.subscriptions.push(toggleHighlightsCommand);
+    context.subscriptions.push(toggleLayerVisibilityCommand);
+    context.subscriptions.push(focusLayersCommand);
+    context.subscriptions.push(exitFocusModeCommand);
+    context.subscriptions.push(reloadHighlightsCommand);
+    context.subscriptions.push(showStatusCommand);
+    context.subscriptions.push(showQuickActionsCommand);
+    context.subscriptions.push(exportReportCommand);
+    context.subscriptions.push(applyRulesCommand);
+    context.subscriptions.push(highlightSymbolCommand);
+    context.subscriptions.push(highlightSymbolsCommand);
+    context.subscriptions.push(nextHighlightCommand);
+    context.subscriptions.push(previousHighlightCommand);
+    context.subscriptions.push(nextHighlightInLayerCommand);
+    context.subscriptions.push(previousHighlightInLayerCommand);
+    context.subscriptions.push(goToHighlightCommand);
+    context.subscriptions.push(undoHighlightChangeCommand);
+    context.subscriptions.push(redoHighlightChangeCommand);
+    context.subscriptions.push(applyPalettePresetCommand);
+    context.subscriptions.push(importPaletteCommand);
+    context.subscriptions.push(exportPaletteCommand);
+    context.subscriptions.push(removeWorkspacePaletteCommand);
+
+    // Restore the layer visibility of this workspace
+    loadLayerVisibility();
+    loadHighlightHistory();
 
     // Create and configure status bar button
     statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
     statusBarItem.command = "code-highlighter.toggleHighlights";
-    statusBarItem.tooltip = "Activar/Desactivar code highlights";
     updateStatusBarButton();
     statusBarItem.show();
     context.subscriptions.push(statusBarItem);
 
+    // Status bar text with the layer under the cursor
+    cursorLayerStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 99);
+    cursorLayerStatusBarItem.command = 'code-highlighter.editHighlightNote';
+    context.subscriptions.push(
+        cursorLayerStatusBarItem,
+        vscode.window.onDidChangeTextEditorSelection(() => updateCursorLayerStatus()),
+        vscode.window.onDidChangeActiveTextEditor(() => updateCursorLayerStatus()),
+        highlightsChangedEmitter.event(() => updateCursorLayerStatus())
+    );
+
     // Register event listeners
     
     /**
@@ -241,35 +737,138 @@ function activate(ctx) {
                     restoreHighlights(editor);
                 }, 200);
             }
+            // The symbols may have moved while the file was closed
+            scheduleSymbolResync(document);
+        })
+    );
+
+    /**
+     * Restore highlights in editors that become visible (split or background editors)
+     */
+    context.subscriptions.push(
+        vscode.window.onDidChangeVisibleTextEditors(editors => {
+            if (colorsEnabled) {
+                editors.forEach(editor => restoreHighlights(editor));
+            }
         })
     );
 
     /**
-     * Update highlights when document content changes
+     * Track highlight ranges through document edits
+     * Runs for every document with highlights, not only the active editor,
+     * and keeps tracking while highlights are hidden so positions stay correct
      */
     context.subscriptions.push(
         vscode.workspace.onDidChangeTextDocument(event => {
-            const editor = vscode.window.activeTextEditor;
-            if (editor && event.document === editor.document && colorsEnabled) {
-                updateHighlightsForChanges(editor, event);
+            if (event.contentChanges.length > 0) {
+                updateHighlightsForChanges(event);
+                scheduleSymbolResync(event.document);
             }
         })
     );
 
     /**
-     * Clean up highlights when closing a document
+     * Re-render highlights when layers are changed in settings
+     * Highlights reference layers by id, so they follow the new color and name
      */
     context.subscriptions.push(
-        vscode.workspace.onDidCloseTextDocument(document => {
-            const uri = document.uri.toString();
-            highlightDecorations.delete(uri);
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('codeHighlighter.customColors') ||
+                event.affectsConfiguration('codeHighlighter.defaultColor')) {
+                refreshLayers();
+                // Update the layers table of highlights.json
+                saveHighlights();
+            }
+        })
+    );
+
+    // Highlights of closed documents stay in memory: the Highlight Explorer lists them
+    // and saveHighlights writes every file from highlightDecorations
+
+    /**
+     * Follow files renamed, moved or deleted from the editor, so highlights.json never keeps stale paths
+     */
+    context.subscriptions.push(
+        vscode.workspace.onDidRenameFiles(onFilesRenamed),
+        vscode.workspace.onDidDeleteFiles(onFilesDeleted),
+        vscode.commands.registerCommand('code-highlighter.pruneOrphanedHighlights', pruneOrphanedHighlightsCommandHandler)
+    );
+
+    /**
+     * Merge the sides of a highlights.json that git left with conflict markers
+     */
+    context.subscriptions.push(
+        vscode.commands.registerCommand('code-highlighter.resolveHighlightsConflicts', resolveHighlightsConflictsCommandHandler)
+    );
+
+    // Check the layer dependency rules and report violations in the Problems panel
+    dependencyDiagnostics = vscode.languages.createDiagnosticCollection('code-highlighter');
+    context.subscriptions.push(
+        dependencyDiagnostics,
+        vscode.languages.registerCodeActionsProvider({ scheme: 'file' }, new DependencyCodeActionProvider(), {
+            providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+        }),
+        vscode.commands.registerCommand('code-highlighter.checkDependencies', checkDependenciesCommandHandler),
+        // Checked on save rather than on every highlight change: the check reads every highlighted file
+        vscode.workspace.onDidSaveTextDocument(() => scheduleDependencyCheck()),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('codeHighlighter.dependencyRules')) {
+                scheduleDependencyCheck();
+            }
+        })
+    );
+
+    // Layer coverage dashboard and unclassified code finder
+    context.subscriptions.push(
+        vscode.commands.registerCommand('code-highlighter.showCoverage', showCoverageCommandHandler),
+        vscode.commands.registerCommand('code-highlighter.findUnclassifiedCode', findUnclassifiedCodeCommandHandler),
+        highlightsChangedEmitter.event(() => scheduleCoverageRefresh())
+    );
+
+    // Register the layer badges of the Explorer and editor tabs
+    highlightFileDecorationProvider = new HighlightFileDecorationProvider();
+    context.subscriptions.push(
+        vscode.window.registerFileDecorationProvider(highlightFileDecorationProvider),
+        highlightsChangedEmitter.event(() => highlightFileDecorationProvider.refresh()),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('codeHighlighter.fileDecorations')) {
+                highlightFileDecorationProvider.refresh();
+            }
         })
     );
 
-    // Load saved highlights and apply them
+    // Register the Highlight Explorer view
+    highlightExplorerProvider = new HighlightExplorerProvider();
+    context.subscriptions.push(
+        vscode.window.registerTreeDataProvider('codeHighlighter.explorer', highlightExplorerProvider),
+        highlightsChangedEmitter.event(() => highlightExplorerProvider.refresh()),
+        highlightsChangedEmitter
+    );
+    setExplorerGroupBy(context.workspaceState.get('codeHighlighter.explorerGroupBy', 'layer'));
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('code-highlighter.revealHighlight', revealHighlightCommandHandler),
+        vscode.commands.registerCommand('code-highlighter.recolorHighlight', recolorHighlightCommandHandler),
+        vscode.commands.registerCommand('code-highlighter.removeHighlight', removeHighlightCommandHandler),
+        vscode.commands.registerCommand('code-highlighter.editHighlightNote', editHighlightNoteCommandHandler),
+        vscode.commands.registerCommand('code-highlighter.editHighlightTags', editHighlightTagsCommandHandler),
+        vscode.commands.registerCommand('code-highlighter.explorerGroupByFile', () => setExplorerGroupBy('file')),
+        vscode.commands.registerCommand('code-highlighter.explorerGroupByLayer', () => setExplorerGroupBy('layer')),
+        vscode.commands.registerCommand('code-highlighter.refreshExplorer', () => highlightExplorerProvider.refresh())
+    );
+
+    // Load saved highlights and apply them, then keep them in sync with each folder's highlights.json
     initializeHighlights();
+    getAllHighlightStores().forEach(store => watchHighlightsFile(store));
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeWorkspaceFolders(onWorkspaceFoldersChanged),
+        { dispose: () => highlightStores.forEach(store => store.watcher && store.watcher.dispose()) }
+    );
 
     vscode.window.showInformationMessage('Code Highlighter activated. Select text and use command palette to add code highlights.');
+
+    // API for other extensions, e.g. Crab Modules For Code Highlighter
+    return createPublicApi();
 }
 
 // ============================================================================
@@ -278,15 +877,82 @@ function activate(ctx) {
 
 /**
  * Updates the status bar button text and color based on toggle state
+ * Shows focus mode and the number of hidden layers when highlights are on
  */
 function updateStatusBarButton() {
-    if (colorsEnabled) {
-        statusBarItem.text = "$(symbol-color) Highlights ON";
-        statusBarItem.color = "#00FF00";
-    } else {
+    const layerNames = layerIds => Array.from(layerIds).map(layerId => getLayer(layerId).name).join(', ');
+
+    if (!colorsEnabled) {
         statusBarItem.text = "$(circle-slash) Highlights OFF";
         statusBarItem.color = "#FF5555";
+        statusBarItem.tooltip = "Activar/Desactivar code highlights";
+    } else if (focusedLayers) {
+        statusBarItem.text = `$(eye) Focus: ${focusedLayers.size === 1 ? getLayer(Array.from(focusedLayers)[0]).name : `${focusedLayers.size} layers`}`;
+        statusBarItem.color = "#00FFFF";
+        statusBarItem.tooltip = `Focus mode: ${layerNames(focusedLayers) || 'no layers'}\nActivar/Desactivar code highlights`;
+    } else if (hiddenLayers.size > 0) {
+        statusBarItem.text = `$(symbol-color) Highlights ON (${hiddenLayers.size} hidden)`;
+        statusBarItem.color = "#FFFF00";
+        statusBarItem.tooltip = `Hidden layers: ${layerNames(hiddenLayers)}\nActivar/Desactivar code highlights`;
+    } else {
+        statusBarItem.text = "$(symbol-color) Highlights ON";
+        statusBarItem.color = "#00FF00";
+        statusBarItem.tooltip = "Activar/Desactivar code highlights";
+    }
+}
+
+/**
+ * Shows the layers of the highlights under the cursor in the status bar
+ * Hidden when the cursor is outside every visible highlight
+ */
+function updateCursorLayerStatus() {
+    if (!cursorLayerStatusBarItem) return;
+
+    const entries = getHighlightsAtCursor();
+    if (entries.length === 0) {
+        cursorLayerStatusBarItem.hide();
+        return;
     }
+
+    // Innermost highlight first
+    entries.sort((a, b) =>
+        b.decoration.range.start.compareTo(a.decoration.range.start) ||
+        a.decoration.range.end.compareTo(b.decoration.range.end)
+    );
+    const layerNames = Array.from(new Set(entries.map(entry => getLayer(entry.layerId).name)));
+    cursorLayerStatusBarItem.text = `$(symbol-color) ${layerNames[0]}${layerNames.length > 1 ? ` +${layerNames.length - 1}` : ''}`;
+    cursorLayerStatusBarItem.tooltip = entries
+        .map(entry => {
+            const note = entry.decoration.note ? `: ${entry.decoration.note}` : '';
+            return `${getLayer(entry.layerId).name}${note}`;
+        })
+        .join('\n') + '\nClick to edit the note';
+    cursorLayerStatusBarItem.show();
+}
+
+/**
+ * Gets the visible highlights containing the cursor of the active editor
+ * @returns {Array<{uri: string, layerId: string, decoration: Object}>} Highlight entries
+ */
+function getHighlightsAtCursor() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !colorsEnabled) return [];
+
+    const uri = editor.document.uri.toString();
+    const layerMap = highlightDecorations.get(uri);
+    if (!layerMap) return [];
+
+    const position = editor.selection.active;
+    const entries = [];
+    layerMap.forEach((decorations, layerId) => {
+        if (!isLayerVisible(layerId)) return;
+        decorations.forEach(decoration => {
+            if (!decoration.orphaned && decoration.range.contains(position)) {
+                entries.push({ uri, layerId, decoration });
+            }
+        });
+    });
+    return entries;
 }
 
 /**
@@ -302,6 +968,8 @@ async function initializeHighlights() {
                 applyHighlights(editor);
             });
         }
+        vscode.workspace.textDocuments.forEach(document => scheduleSymbolResync(document));
+        scheduleDependencyCheck();
     } catch (error) {
         console.error('Error during highlights initialization:', error);
     }
@@ -326,20 +994,7 @@ async function addHighlightCommandHandler() {
     }
 
     const hasHighlightsInSelection = checkHighlightsInSelection(editor, selection);
-    const availableColors = getAvailableColors();
-
-    // Build quick pick items with color information
-    const colorItems = availableColors.map(color => {
-        const descriptionText = color.description ? ` - ${color.description}` : '';
-        return {
-            label: `$(symbol-color) ${color.name}`,
-            description: color.value,
-            detail: `${color.name}${descriptionText}`,
-            color: color.value,
-            colorName: color.name,
-            colorDescription: color.description || ''
-        };
-    });
+    const colorItems = getLayerQuickPickItems();
 
     // Add remove option if there are highlights in the selection
     if (hasHighlightsInSelection) {
@@ -362,7 +1017,26 @@ async function addHighlightCommandHandler() {
         return;
     }
 
-    addHighlight(editor, selection, selectedOption.color, selectedOption.colorName, selectedOption.colorDescription);
+    const before = captureHighlightSnapshot([editor.document.uri.toString()]);
+    addHighlight(editor, selection, selectedOption.layerId);
+    pushHighlightHistory('Add highlight', before);
+}
+
+/**
+ * Builds the quick pick items of the configured layers
+ * @returns {Array<{label: string, description: string, detail: string, layerId: string}>} Quick pick items
+ */
+function getLayerQuickPickItems() {
+    // Build quick pick items with color information
+    return getAvailableColors().map(color => {
+        const descriptionText = color.description ? ` - ${color.description}` : '';
+        return {
+            label: `$(symbol-color) ${color.name}`,
+            description: color.value,
+            detail: `${color.name}${descriptionText}`,
+            layerId: color.id
+        };
+    });
 }
 
 /**
@@ -372,15 +1046,19 @@ async function addHighlightCommandHandler() {
 function clearHighlightsCommandHandler() {
     const editor = vscode.window.activeTextEditor;
     if (editor) {
+        const uri = editor.document.uri.toString();
+        const before = captureHighlightSnapshot([uri]);
         clearHighlights(editor);
-        saveHighlights();
-        vscode.window.showInformationMessage('Code highlights cleared from current file');
+        saveHighlights(uri);
+        notifyHighlightsChanged();
+        showUndoableMessage('Code highlights cleared from current file', pushHighlightHistory('Clear file highlights', before));
     }
 }
 
 /**
  * Handler for the 'clearAllHighlights' command
  * Shows confirmation dialog and clears all highlights from all files
+ * highlights.json is deleted, or rewritten without highlights if it holds rules or a palette
  */
 async function clearAllHighlightsCommandHandler() {
     const choice = await vscode.window.showWarningMessage(
@@ -390,22 +1068,375 @@ async function clearAllHighlightsCommandHandler() {
     );
 
     if (choice === 'Yes, delete all') {
-        highlightDecorations.clear();
-        vscode.window.visibleTextEditors.forEach(editor => {
-            decorationTypes.forEach(decorationType => {
-                editor.setDecorations(decorationType, []);
-            });
+        // A highlights.json that cannot be read (parse error, merge conflict) is left alone, with its highlights
+        const stores = getAllHighlightStores().filter(store => !store.hasErrors);
+        const skippedStores = getAllHighlightStores().filter(store => store.hasErrors);
+        const uris = Array.from(highlightDecorations.keys()).filter(uri => {
+            const store = getHighlightStoreForUri(uri);
+            return !store || !store.hasErrors;
         });
 
-        const highlightsFilePath = getHighlightsFilePath();
-        if (highlightsFilePath && fs.existsSync(highlightsFilePath)) {
+        const before = captureHighlightSnapshot(uris, stores);
+        uris.forEach(uri => highlightDecorations.delete(uri));
+        vscode.window.visibleTextEditors.forEach(editor => applyHighlights(editor));
+        notifyHighlightsChanged();
+
+        // Every workspace folder has its own highlights.json
+        let hasErrors = false;
+        for (const store of stores) {
+            // Drop pending changes and wait for a write in progress before rewriting
+            store.dirtyFiles.clear();
+            store.isFullyDirty = false;
+            await store.pendingWrite;
+
+            const highlightsFileUri = vscode.Uri.file(getHighlightsFilePath(store.folder));
+            if (!(await fileExists(highlightsFileUri))) continue;
+
+            // Rules, dependency rules and the palette are the team's, keep them
+            const keepsHandEditedFields = HAND_EDITED_FIELDS.some(field =>
+                store.lastSyncedHighlights && store.lastSyncedHighlights[field] !== undefined
+            );
+            if (keepsHandEditedFields) {
+                store.isFullyDirty = true;
+                await writeHighlightStore(store);
+                // writeHighlightStore reports its errors and leaves the store dirty
+                hasErrors = hasErrors || store.isFullyDirty;
+                continue;
+            }
+
             try {
-                fs.unlinkSync(highlightsFilePath);
-                vscode.window.showInformationMessage('All code highlights deleted');
+                store.lastSyncedContent = null;
+                store.lastSyncedHighlights = { files: {} };
+                await vscode.workspace.fs.delete(highlightsFileUri);
+                syncWorkspacePalette();
             } catch (error) {
-                vscode.window.showErrorMessage(`Error deleting highlights.json: ${error.message}`);
+                hasErrors = true;
+                vscode.window.showErrorMessage(`Error deleting ${highlightsFileUri.fsPath}: ${error.message}`);
             }
         }
+
+        if (skippedStores.length > 0) {
+            vscode.window.showWarningMessage(
+                `highlights.json of ${skippedStores.map(store => `"${store.folder.name}"`).join(', ')} has errors, its code highlights were not cleared`
+            );
+        }
+        const entry = pushHighlightHistory('Clear all highlights', before);
+        if (!hasErrors) {
+            showUndoableMessage('All code highlights deleted', entry);
+        }
+    }
+}
+
+/**
+ * Handler for the 'reloadHighlights' command
+ * Re-reads highlights.json and reports what changed compared to memory
+ */
+async function reloadHighlightsCommandHandler() {
+    const stores = getAllHighlightStores()
+        .filter(store => fs.existsSync(getHighlightsFilePath(store.folder)));
+    if (stores.length === 0) {
+        vscode.window.showWarningMessage('No highlights.json found in the workspace folders');
+        return;
+    }
+
+    // Write pending changes first so they are not lost by the reload
+    await flushHighlights();
+    const before = new Map(stores.map(store => [store, serializeHighlights(store)]));
+    await loadSavedHighlights();
+
+    const changes = { added: 0, removed: 0, moved: 0, files: 0 };
+    stores.filter(store => !store.hasErrors).forEach(store => {
+        const storeChanges = diffHighlightsData(before.get(store), serializeHighlights(store));
+        Object.keys(changes).forEach(key => {
+            changes[key] += storeChanges[key];
+        });
+    });
+    if (changes.added + changes.removed + changes.moved === 0) {
+        vscode.window.showInformationMessage('Code highlights reloaded: no changes');
+        return;
+    }
+    vscode.window.showInformationMessage(
+        `Code highlights reloaded: ${changes.added} added, ${changes.removed} removed, ${changes.moved} moved in ${changes.files} file(s)`
+    );
+}
+
+/**
+ * Compares two highlights.json data objects
+ * A highlight whose range changed but whose anchor is the same counts as moved
+ * @param {{files: Object}} before - Previous data
+ * @param {{files: Object}} after - New data
+ * @returns {{added: number, removed: number, moved: number, files: number}} Change counts
+ */
+function diffHighlightsData(before, after) {
+    const listEntries = data => {
+        const entries = new Map();
+        Object.keys(data.files).forEach(filePath => {
+            Object.keys(data.files[filePath]).forEach(layerId => {
+                data.files[filePath][layerId].forEach(entry => {
+                    const key = `${filePath}|${layerId}|${entry.startLine}:${entry.startCharacter}-${entry.endLine}:${entry.endCharacter}`;
+                    entries.set(key, { filePath, layerId, anchorHash: entry.anchor && entry.anchor.hash });
+                });
+            });
+        });
+        return entries;
+    };
+
+    const beforeEntries = listEntries(before);
+    const afterEntries = listEntries(after);
+    const removed = Array.from(beforeEntries.keys()).filter(key => !afterEntries.has(key)).map(key => beforeEntries.get(key));
+    const added = Array.from(afterEntries.keys()).filter(key => !beforeEntries.has(key)).map(key => afterEntries.get(key));
+    const changedFiles = new Set([...removed, ...added].map(entry => entry.filePath));
+
+    // Pair removed and added entries with the same anchor as moves
+    let moved = 0;
+    added.slice().forEach(addedEntry => {
+        const index = removed.findIndex(removedEntry =>
+            addedEntry.anchorHash &&
+            removedEntry.anchorHash === addedEntry.anchorHash &&
+            removedEntry.filePath === addedEntry.filePath &&
+            removedEntry.layerId === addedEntry.layerId
+        );
+        if (index !== -1) {
+            removed.splice(index, 1);
+            added.splice(added.indexOf(addedEntry), 1);
+            moved++;
+        }
+    });
+
+    return { added: added.length, removed: removed.length, moved, files: changedFiles.size };
+}
+
+/**
+ * Handler for the 'showStatus' command
+ * Opens a Markdown summary of highlight counts per layer and per file
+ */
+async function showStatusCommandHandler() {
+    const layers = new Map();
+    const files = new Map();
+    let total = 0;
+    let orphaned = 0;
+
+    getAllHighlightEntries().forEach(({ uri, layerId, decoration }) => {
+        total++;
+        if (decoration.orphaned) orphaned++;
+
+        if (!layers.has(layerId)) {
+            const layerConfig = getLayer(layerId);
+            layers.set(layerId, {
+                name: layerConfig.name,
+                color: layerConfig.value,
+                count: 0,
+                files: new Set()
+            });
+        }
+        const layer = layers.get(layerId);
+        layer.count++;
+        layer.files.add(uri);
+
+        if (!files.has(uri)) {
+            files.set(uri, { count: 0, layers: new Set() });
+        }
+        files.get(uri).count++;
+        files.get(uri).layers.add(layer.name);
+    });
+
+    const stores = getAllHighlightStores();
+    const lines = [
+        '# Code Highlighter Status',
+        '',
+        `- **Highlights:** ${colorsEnabled ? 'ON' : 'OFF'}`,
+        `- **Total highlights:** ${total} in ${files.size} file(s)`
+    ];
+    if (focusedLayers) {
+        lines.push(`- **Focus mode:** ${Array.from(focusedLayers).map(layerId => getLayer(layerId).name).join(', ')}`);
+    } else if (hiddenLayers.size > 0) {
+        lines.push(`- **Hidden layers:** ${Array.from(hiddenLayers).map(layerId => getLayer(layerId).name).join(', ')}`);
+    }
+    if (orphaned > 0) {
+        lines.push(`- **Orphaned highlights:** ${orphaned}`);
+    }
+    if (stores.length === 0) {
+        lines.push('- **Storage:** not available (no workspace folder open)');
+    }
+
+    if (stores.length > 0) {
+        lines.push('', '## Per workspace folder', '', '| Folder | Highlights | Files | Storage |', '|--------|-----------:|------:|---------|');
+        stores.forEach(store => {
+            const folderFiles = Array.from(files.keys()).filter(uri => isUriInStore(uri, store));
+            const folderCount = folderFiles.reduce((sum, uri) => sum + files.get(uri).count, 0);
+            const storage = getHighlightsFilePath(store.folder) + (store.hasErrors ? ' **(has errors, not saving)**' : '');
+            lines.push(`| ${store.folder.name} | ${folderCount} | ${folderFiles.length} | ${storage} |`);
+        });
+    }
+
+    lines.push('', '## Per layer', '', '| Layer | Id | Color | Highlights | Files |', '|-------|----|-------|-----------:|------:|');
+    Array.from(layers.entries())
+        .sort((a, b) => b[1].count - a[1].count)
+        .forEach(([layerId, layer]) => {
+            lines.push(`| ${layer.name} | \`${layerId}\` | \`${layer.color}\` | ${layer.count} | ${layer.files.size} |`);
+        });
+
+    lines.push('', '## Per file', '', '| File | Highlights | Layers |', '|------|-----------:|--------|');
+    Array.from(files.entries())
+        .map(([uri, file]) => [vscode.workspace.asRelativePath(vscode.Uri.parse(uri)), file])
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .forEach(([relativePath, file]) => {
+            lines.push(`| ${relativePath} | ${file.count} | ${Array.from(file.layers).join(', ')} |`);
+        });
+
+    const document = await vscode.workspace.openTextDocument({ language: 'markdown', content: lines.join('\n') + '\n' });
+    await vscode.window.showTextDocument(document, { preview: true });
+}
+
+/**
+ * Handler for the 'showQuickActions' command
+ * Shows a quick pick with every action of the extension
+ */
+async function showQuickActionsCommandHandler() {
+    const editor = vscode.window.activeTextEditor;
+    const hasSelection = editor && !editor.selection.isEmpty;
+
+    const actions = [
+        {
+            label: colorsEnabled ? '$(circle-slash) Hide code highlights' : '$(symbol-color) Show code highlights',
+            command: 'code-highlighter.toggleHighlights'
+        },
+        {
+            label: '$(eye) Show or hide layers...',
+            description: hiddenLayers.size > 0 ? `${hiddenLayers.size} hidden` : '',
+            command: 'code-highlighter.toggleLayerVisibility'
+        },
+        focusedLayers ? {
+            label: '$(eye-closed) Exit focus mode',
+            command: 'code-highlighter.exitFocusMode'
+        } : {
+            label: '$(target) Focus on layers...',
+            description: 'Dim the code outside the chosen layers',
+            command: 'code-highlighter.focusLayers'
+        },
+        {
+            label: '$(go-to-file) Go to code highlight...',
+            description: 'Search by layer, note, tag or code',
+            command: 'code-highlighter.goToHighlight'
+        },
+        {
+            label: '$(list-tree) Open Highlight Explorer',
+            command: 'codeHighlighter.explorer.focus'
+        },
+        {
+            label: '$(refresh) Reload code highlights from file',
+            command: 'code-highlighter.reloadHighlights'
+        },
+        {
+            label: '$(info) Show code highlights status',
+            command: 'code-highlighter.showStatus'
+        },
+        {
+            label: '$(wand) Apply layer rules...',
+            description: 'Preview and apply automatic layer assignment',
+            command: 'code-highlighter.applyRules'
+        },
+        {
+            label: '$(checklist) Check layer dependencies',
+            description: 'Report imports and calls breaking the dependency rules',
+            command: 'code-highlighter.checkDependencies'
+        },
+        {
+            label: '$(export) Export architecture report...',
+            description: 'Markdown, HTML or CSV',
+            command: 'code-highlighter.exportReport'
+        },
+        {
+            label: '$(symbol-color) Apply palette preset...',
+            description: 'MVC, Clean Architecture, Hexagonal, DDD, MVVM',
+            command: 'code-highlighter.applyPalettePreset'
+        },
+        {
+            label: '$(graph) Show layer coverage',
+            description: 'How much of the code each layer classifies',
+            command: 'code-highlighter.showCoverage'
+        },
+        {
+            label: '$(search) Find unclassified code...',
+            description: 'Files and top-level symbols without highlights',
+            command: 'code-highlighter.findUnclassifiedCode'
+        },
+        {
+            label: '$(debug-disconnect) Prune orphaned highlights',
+            description: 'Follow files moved outside the editor and remove highlights of missing code',
+            command: 'code-highlighter.pruneOrphanedHighlights'
+        }
+    ];
+
+    if (hasSelection) {
+        actions.unshift({
+            label: '$(add) Add code highlight',
+            description: 'Highlight the selected text',
+            command: 'code-highlighter.addHighlight'
+        });
+    }
+    if (editor) {
+        actions.push({
+            label: '$(clear-all) Clear current file code highlights',
+            command: 'code-highlighter.clearHighlights'
+        });
+    }
+    actions.push({
+        label: '$(trash) Clear all code highlights',
+        command: 'code-highlighter.clearAllHighlights'
+    });
+    if (highlightHistory.undo.length > 0) {
+        actions.push({
+            label: '$(discard) Undo highlight change',
+            description: highlightHistory.undo[highlightHistory.undo.length - 1].label,
+            command: 'code-highlighter.undoHighlightChange'
+        });
+    }
+    if (highlightHistory.redo.length > 0) {
+        actions.push({
+            label: '$(redo) Redo highlight change',
+            description: highlightHistory.redo[highlightHistory.redo.length - 1].label,
+            command: 'code-highlighter.redoHighlightChange'
+        });
+    }
+
+    const selectedAction = await vscode.window.showQuickPick(actions, {
+        placeHolder: 'Code Highlighter actions'
+    });
+    if (!selectedAction) return;
+
+    await vscode.commands.executeCommand(selectedAction.command);
+}
+
+/**
+ * Handler for the 'goToHighlight' command
+ * Shows a quick pick with every highlight of the workspace and reveals the chosen one
+ * Searches layer names, notes, tags and code; closed files use the code saved in the anchors of highlights.json
+ */
+async function pickAndRevealHighlight() {
+    const items = getAllHighlightEntries().map(({ uri, layerId, decoration }) => {
+        const location = `${vscode.workspace.asRelativePath(vscode.Uri.parse(uri))}:${decoration.range.start.line + 1}`;
+        const tags = (decoration.tags || []).map(tag => `#${tag}`).join(' ');
+        return {
+            label: getHighlightPreview(uri, decoration),
+            description: [getLayer(layerId).name, tags, decoration.orphaned ? '(orphaned)' : ''].filter(part => part).join(' '),
+            detail: decoration.note ? `${location} · ${decoration.note}` : location,
+            node: { type: 'highlight', uri, layerId, decoration }
+        };
+    });
+
+    if (items.length === 0) {
+        vscode.window.showInformationMessage('There are no code highlights yet');
+        return;
+    }
+
+    const selectedItem = await vscode.window.showQuickPick(items, {
+        placeHolder: 'Go to code highlight',
+        matchOnDescription: true,
+        matchOnDetail: true
+    });
+    if (selectedItem) {
+        await revealHighlightCommandHandler(selectedItem.node);
     }
 }
 
@@ -424,9 +1455,9 @@ function checkHighlightsInSelection(editor, selection) {
     const documentHighlights = highlightDecorations.get(uri);
     if (!documentHighlights) return false;
 
-    for (const [color, decorations] of documentHighlights) {
+    for (const [layerId, decorations] of documentHighlights) {
         const hasHighlightInSelection = decorations.some(decoration =>
-            selection.intersection(decoration.range) !== undefined
+            !decoration.orphaned && rangesOverlap(selection, decoration.range)
         );
         if (hasHighlightInSelection) return true;
     }
@@ -434,339 +1465,4907 @@ function checkHighlightsInSelection(editor, selection) {
 }
 
 /**
- * Removes highlights that match or contain the given selection
+ * Removes the selected part of every highlight overlapping the selection
+ * Highlights inside the selection are removed, the ones sticking out of it are trimmed,
+ * and the ones containing it are split in two
  * @param {vscode.TextEditor} editor - Current text editor
- * @param {vscode.Selection} selection - Selection containing highlights to remove
+ * @param {vscode.Selection} selection - Selection to remove from the highlights
  */
 function removeHighlightsInSelection(editor, selection) {
     const uri = editor.document.uri.toString();
-    const documentHighlights = highlightDecorations.get(uri);
-    if (!documentHighlights) return;
+    if (!highlightDecorations.has(uri)) return;
 
-    let removedCount = 0;
-    documentHighlights.forEach((decorations, color) => {
-        const remainingDecorations = decorations.filter(decoration => {
-            const exactMatch = decoration.range.start.isEqual(selection.start) &&
-                decoration.range.end.isEqual(selection.end);
-            const containsSelection = decoration.range.start.isBeforeOrEqual(selection.start) &&
-                decoration.range.end.isAfterOrEqual(selection.end);
-            if (exactMatch || containsSelection) {
-                removedCount++;
-                return false;
-            }
-            return true;
-        });
-        documentHighlights.set(color, remainingDecorations);
-    });
+    const before = captureHighlightSnapshot([uri]);
+    const { removedCount, trimmedCount } = removeRangeFromHighlights(editor.document, selection);
 
     applyHighlights(editor);
-    saveHighlights();
+    saveHighlights(uri);
+    notifyHighlightsChanged();
 
-    if (removedCount > 0) {
-        vscode.window.showInformationMessage(`Removed ${removedCount} code highlight(s)`);
+    if (removedCount > 0 || trimmedCount > 0) {
+        const parts = [];
+        if (removedCount > 0) parts.push(`removed ${removedCount}`);
+        if (trimmedCount > 0) parts.push(`trimmed ${trimmedCount}`);
+        const message = `Code highlights ${parts.join(', ')}`;
+        showUndoableMessage(message, pushHighlightHistory('Remove highlights', before));
     } else {
         vscode.window.showInformationMessage('No code highlights found in selection');
     }
 }
 
+/**
+ * Removes a range from the highlights of a document, trimming or splitting the ones sticking out of it
+ * Does not render or save the changes
+ * @param {vscode.TextDocument} document - Document of the highlights
+ * @param {vscode.Range} range - Range to remove
+ * @param {string} [onlyLayerId] - Layer to limit the removal to; every layer if omitted
+ * @returns {{removedCount: number, trimmedCount: number}} Number of removed and of trimmed or split highlights
+ */
+function removeRangeFromHighlights(document, range, onlyLayerId) {
+    const documentHighlights = highlightDecorations.get(document.uri.toString());
+    const now = new Date().toISOString();
+    let removedCount = 0;
+    let trimmedCount = 0;
+    if (!documentHighlights) return { removedCount, trimmedCount };
+
+    documentHighlights.forEach((decorations, layerId) => {
+        if (onlyLayerId && layerId !== onlyLayerId) return;
+        const remainingDecorations = [];
+        decorations.forEach(decoration => {
+            if (decoration.orphaned || !rangesOverlap(range, decoration.range)) {
+                remainingDecorations.push(decoration);
+                return;
+            }
+
+            // Pieces left of only whitespace are dropped too
+            const pieces = subtractRanges(decoration.range, [range])
+                .filter(piece => document.getText(piece).trim().length > 0);
+            if (pieces.length === 0) {
+                removedCount++;
+                return;
+            }
+
+            // The first piece keeps the highlight, the second one is a copy of it
+            trimmedCount++;
+            pieces.forEach((piece, index) => {
+                const trimmed = index === 0 ? decoration : Object.assign({}, decoration);
+                trimmed.range = piece;
+                trimmed.updatedAt = now;
+                // A part of a symbol no longer follows the symbol
+                delete trimmed.symbol;
+                remainingDecorations.push(trimmed);
+            });
+        });
+        documentHighlights.set(layerId, remainingDecorations);
+    });
+    return { removedCount, trimmedCount };
+}
+
 /**
  * Adds a highlight to the given selection
  * @param {vscode.TextEditor} editor - Current text editor
- * @param {vscode.Selection} selection - Selection to highlight
- * @param {string} color - Hex color value
- * @param {string} colorName - Name of the color/layer
- * @param {string} colorDescription - Description of the color/layer
+ * @param {vscode.Selection|vscode.Range} selection - Selection to highlight
+ * @param {string} layerId - Id of the layer
+ * @param {Object} [properties] - Extra properties of the highlight, e.g. the symbol it follows
  */
-function addHighlight(editor, selection, color, colorName, colorDescription) {
+function addHighlight(editor, selection, layerId, properties) {
     const document = editor.document;
     const uri = document.uri.toString();
 
-    if (!isValidColor(color)) {
-        vscode.window.showErrorMessage(`Invalid color: ${color}`);
+    const layer = getLayer(layerId);
+    if (!isValidColor(layer.value)) {
+        vscode.window.showErrorMessage(`Invalid color: ${layer.value}`);
         return;
     }
 
-    // Create or get decoration type for this color
-    let decorationType = decorationTypes.get(color);
-    if (!decorationType) {
-        decorationType = createDecorationType(color);
-        decorationTypes.set(color, decorationType);
-    }
-
-    // Create decoration object - usar el rango exacto de la selección
-    const range = new vscode.Range(selection.start, selection.end);
-    const hoverText = colorDescription ? `${colorName}: ${colorDescription}` : colorName;
-    const decoration = {
-        range,
-        hoverMessage: `Code highlight: ${hoverText}`,
-        colorName: colorName,
-        colorDescription: colorDescription
-    };
-
-    // Add to highlights map
-    if (!highlightDecorations.has(uri)) {
-        highlightDecorations.set(uri, new Map());
-    }
-
-    const documentHighlights = highlightDecorations.get(uri);
-    if (!documentHighlights.has(color)) {
-        documentHighlights.set(color, []);
-    }
+    // Usar el rango exacto de la selección
+    insertHighlight(document, new vscode.Range(selection.start, selection.end), layerId, properties);
 
-    // Añadir la nueva decoración
-    documentHighlights.get(color).push(decoration);
-    
     // Aplicar inmediatamente los highlights visualmente
     applyHighlights(editor);
     
     // Guardar en el archivo (esto hace que persistan sin necesidad de guardar manualmente)
-    saveHighlights();
+    saveHighlights(uri);
+    notifyHighlightsChanged();
 }
 
 /**
- * Applies all highlights to the given editor
- * Only applies if highlights are enabled
- * @param {vscode.TextEditor} editor - Editor to apply highlights to
+ * Creates a highlight and adds it to the in-memory highlights of a document
+ * Does not render or save the change
+ * @param {vscode.TextDocument} document - Document to highlight
+ * @param {vscode.Range} range - Range to highlight
+ * @param {string} layerId - Id of the layer
+ * @param {Object} [properties] - Extra properties of the highlight, e.g. a note or the symbol it follows
+ * @returns {Object} Highlight the new one ended up in, after merging with its neighbours
  */
-function applyHighlights(editor) {
-    if (!colorsEnabled) return;
-
-    const uri = editor.document.uri.toString();
-    const documentHighlights = highlightDecorations.get(uri);
-    
-    // Primero limpiar todas las decoraciones existentes
-    decorationTypes.forEach((decorationType) => {
-        editor.setDecorations(decorationType, []);
-    });
+function insertHighlight(document, range, layerId, properties) {
+    const uri = document.uri.toString();
+    const now = new Date().toISOString();
+    const decoration = Object.assign({ range, author: getHighlightAuthor(), createdAt: now, updatedAt: now }, properties);
 
-    // Si no hay highlights para este documento, terminar aquí
-    if (!documentHighlights || documentHighlights.size === 0) {
-        return;
+    // Add to highlights map
+    if (!highlightDecorations.has(uri)) {
+        highlightDecorations.set(uri, new Map());
     }
 
-    // Aplicar highlights por color
-    documentHighlights.forEach((decorations, color) => {
-        let decorationType = decorationTypes.get(color);
-        if (!decorationType) {
-            decorationType = createDecorationType(color);
-            decorationTypes.set(color, decorationType);
-        }
-        
-        // Aplicar todas las decoraciones de este color
-        editor.setDecorations(decorationType, decorations);
-    });
-}
-
-/**
- * Clears all highlights from the given editor
- * @param {vscode.TextEditor} editor - Editor to clear highlights from
- */
-function clearHighlights(editor) {
-    const uri = editor.document.uri.toString();
     const documentHighlights = highlightDecorations.get(uri);
-    if (!documentHighlights) return;
-
-    decorationTypes.forEach((decorationType) => {
-        editor.setDecorations(decorationType, []);
-    });
+    if (!documentHighlights.has(layerId)) {
+        documentHighlights.set(layerId, []);
+    }
 
-    highlightDecorations.delete(uri);
+    // Añadir la nueva decoración, fusionándola con las del mismo layer que solapa o toca
+    const decorations = documentHighlights.get(layerId);
+    decorations.push(decoration);
+    return mergeAdjacentHighlights(decorations, decoration);
 }
 
 /**
- * Updates highlights after document changes
- * Reapplies highlights and saves to file
- * @param {vscode.TextEditor} editor - Editor with changes
- * @param {vscode.TextDocumentChangeEvent} event - Change event
+ * Merges a highlight with the highlights of the same layer it overlaps or touches
+ * Highlights separated by any text, even whitespace, stay apart, so each keeps its own note.
+ * The older highlight is kept, so explorer nodes and history keep pointing at it.
+ * Automatic highlights are only merged with automatic ones, so layer rules still recognize them.
+ * Symbol highlights are never merged, so each one keeps following its own symbol
+ * @param {Object[]} decorations - Highlights of the layer, already including the new one
+ * @param {Object} decoration - New highlight
+ * @returns {Object} Highlight the new one ended up in
  */
-function updateHighlightsForChanges(editor, event) {
-    if (!colorsEnabled) return;
-    applyHighlights(editor);
-    saveHighlights();
+function mergeAdjacentHighlights(decorations, decoration) {
+    let merged = decoration;
+    let other;
+    do {
+        other = decorations.find(candidate =>
+            candidate !== merged &&
+            !candidate.orphaned &&
+            !candidate.auto === !merged.auto &&
+            !candidate.symbol && !merged.symbol &&
+            // Touching ranges intersect in an empty range
+            candidate.range.intersection(merged.range) !== undefined
+        );
+        if (other) {
+            mergeHighlightInto(other, merged);
+            decorations.splice(decorations.indexOf(merged), 1);
+            merged = other;
+        }
+    } while (other);
+    return merged;
 }
 
 /**
- * Restores highlights when switching to an editor
- * @param {vscode.TextEditor} editor - Editor to restore highlights in
+ * Merges a highlight into another one of the same layer
+ * Ranges are joined, notes and tags combined, and the oldest creation date kept
+ * @param {Object} target - Highlight that is kept
+ * @param {Object} source - Highlight merged into the target
  */
-function restoreHighlights(editor) {
-    if (!colorsEnabled) return;
-    applyHighlights(editor);
-}
+function mergeHighlightInto(target, source) {
+    target.range = target.range.union(source.range);
 
-// ============================================================================
-// FILE SYSTEM FUNCTIONS
-// ============================================================================
-
-/**
- * Gets the workspace root path
- * @returns {string|null} Workspace root path or null if not available
- */
-function getWorkspaceRoot() {
-    if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
-        return vscode.workspace.workspaceFolders[0].uri.fsPath;
+    if (source.note && source.note !== target.note) {
+        target.note = target.note ? `${target.note}\n\n${source.note}` : source.note;
     }
-    const activeEditor = vscode.window.activeTextEditor;
-    if (activeEditor) {
-        return path.dirname(activeEditor.document.uri.fsPath);
+    const tags = Array.from(new Set((target.tags || []).concat(source.tags || [])));
+    if (tags.length > 0) {
+        target.tags = tags;
     }
-    return null;
+    if (source.createdAt && (!target.createdAt || source.createdAt < target.createdAt)) {
+        target.createdAt = source.createdAt;
+    }
+    target.updatedAt = new Date().toISOString();
 }
 
 /**
- * Gets the path to the highlights.json file
- * @returns {string|null} Path to highlights file or null if workspace not available
+ * Checks whether two ranges share at least one character
+ * @param {vscode.Range} a - First range
+ * @param {vscode.Range} b - Second range
+ * @returns {boolean} True if the ranges overlap
  */
-function getHighlightsFilePath() {
-    const workspaceRoot = getWorkspaceRoot();
-    if (!workspaceRoot) return null;
-    return path.join(workspaceRoot, 'highlights.json');
+function rangesOverlap(a, b) {
+    const intersection = a.intersection(b);
+    return intersection !== undefined && !intersection.isEmpty;
 }
 
 /**
- * Saves all highlights to highlights.json file
- * Includes color metadata if enabled in settings
+ * Gets the parts of a range not covered by other ranges
+ * @param {vscode.Range} range - Range to cut
+ * @param {vscode.Range[]} cutRanges - Ranges to remove, in any order and possibly overlapping
+ * @returns {vscode.Range[]} Remaining parts, in document order
  */
-function saveHighlights() {
-    const highlightsFilePath = getHighlightsFilePath();
-    if (!highlightsFilePath) return;
+function subtractRanges(range, cutRanges) {
+    const remainingRanges = [];
+    let position = range.start;
 
-    const config = vscode.workspace.getConfiguration('codeHighlighter');
-    const saveMetadata = config.get('saveColorMetadata', true);
-
-    const highlightsData = { files: {} };
-    
-    highlightDecorations.forEach((colorMap, uri) => {
-        const workspaceRoot = getWorkspaceRoot();
-        let relativePath = uri;
-        
-        // Convert absolute path to relative path
-        if (workspaceRoot && uri.startsWith('file://')) {
-            const absolutePath = vscode.Uri.parse(uri).fsPath;
-            relativePath = path.relative(workspaceRoot, absolutePath);
-        }
-        
-        const fileHighlights = {};
-        colorMap.forEach((decorations, color) => {
-            const colorData = decorations.map(decoration => {
-                const baseData = {
-                    startLine: decoration.range.start.line,
-                    startCharacter: decoration.range.start.character,
-                    endLine: decoration.range.end.line,
-                    endCharacter: decoration.range.end.character
-                };
-
-                // Add metadata if enabled
-                if (saveMetadata) {
-                    const metadata = decoration.colorName ?
-                        { name: decoration.colorName, description: decoration.colorDescription || '' } :
-                        getColorMetadata(color);
-
-                    if (metadata) {
-                        baseData.name = metadata.name;
-                        if (metadata.description) {
-                            baseData.description = metadata.description;
-                        }
-                    }
-                }
-
-                return baseData;
-            });
-            fileHighlights[color] = colorData;
+    cutRanges
+        .filter(cut => cut.end.isAfter(range.start) && cut.start.isBefore(range.end))
+        .sort((a, b) => a.start.compareTo(b.start))
+        .forEach(cut => {
+            if (cut.start.isAfter(position)) {
+                remainingRanges.push(new vscode.Range(position, cut.start));
+            }
+            if (cut.end.isAfter(position)) {
+                position = cut.end;
+            }
         });
-        highlightsData.files[relativePath] = fileHighlights;
-    });
 
-    try {
-        fs.writeFileSync(highlightsFilePath, JSON.stringify(highlightsData, null, 2), 'utf8');
-    } catch (error) {
-        console.error('Error saving highlights:', error);
+    if (range.end.isAfter(position)) {
+        remainingRanges.push(new vscode.Range(position, range.end));
     }
+    return remainingRanges;
 }
 
 /**
- * Loads saved highlights from highlights.json file and applies them
- * @returns {Promise<void>} Promise that resolves when loading is complete
+ * Gets the ranges to paint for each visible highlight of a document
+ * Nesting rule: where highlights of different layers overlap, the shorter one is painted
+ * on top and the longer one only around it, so each part of the code shows a single
+ * color and the hover of the innermost highlight. Highlights of the same length blend.
+ * @param {vscode.TextDocument} document - Document of the highlights
+ * @param {Array<{layerId: string, decoration: Object}>} entries - Visible, non-orphaned highlights
+ * @returns {Map<Object, vscode.Range[]>} Ranges to paint by highlight
  */
-function loadSavedHighlights() {
-    return new Promise((resolve) => {
-        const highlightsFilePath = getHighlightsFilePath();
-        if (!highlightsFilePath || !fs.existsSync(highlightsFilePath)) {
-            resolve();
-            return;
-        }
-        
-        try {
-            const jsonContent = fs.readFileSync(highlightsFilePath, 'utf8');
-            const savedHighlights = JSON.parse(jsonContent);
-            const workspaceRoot = getWorkspaceRoot();
-            
-            Object.keys(savedHighlights.files).forEach(relativePath => {
-                let uri = vscode.Uri.file(path.resolve(workspaceRoot, relativePath)).toString();
-                const colorMap = new Map();
-                const fileData = savedHighlights.files[relativePath];
-                
-                Object.keys(fileData).forEach(color => {
-                    const decorations = fileData[color].map(decData => {
-                        const start = new vscode.Position(decData.startLine, decData.startCharacter);
-                        const end = new vscode.Position(decData.endLine, decData.endCharacter);
-
-                        // Load metadata if available
-                        const colorName = decData.name || 'Code highlight';
-                        const colorDescription = decData.description || '';
-                        const hoverText = colorDescription ? `${colorName}: ${colorDescription}` : colorName;
-
-                        return {
-                            range: new vscode.Range(start, end),
-                            hoverMessage: `Code highlight: ${hoverText}`,
-                            colorName: colorName,
-                            colorDescription: colorDescription
-                        };
-                    });
-                    colorMap.set(color, decorations);
-                });
-                highlightDecorations.set(uri, colorMap);
-                
-                // Aplicar los highlights inmediatamente después de cargarlos
-                const editor = vscode.window.visibleTextEditors.find(
-                    e => e.document.uri.toString() === uri
-                );
-                if (editor && colorsEnabled) {
-                    applyHighlights(editor);
+function getNestedPaintRanges(document, entries) {
+    const spans = entries.map(entry => ({
+        entry,
+        start: document.offsetAt(entry.decoration.range.start),
+        end: document.offsetAt(entry.decoration.range.end),
+        innerRanges: []
+    }));
+    spans.sort((a, b) => a.start - b.start);
+
+    // Single sweep in document order: only the spans still open at a start can overlap it
+    let openSpans = [];
+    spans.forEach(span => {
+        openSpans = openSpans.filter(other => other.end > span.start);
+        if (span.end > span.start) {
+            const length = span.end - span.start;
+            openSpans.forEach(other => {
+                if (other.entry.layerId === span.entry.layerId) return;
+                const otherLength = other.end - other.start;
+                if (length < otherLength) {
+                    other.innerRanges.push(span.entry.decoration.range);
+                } else if (otherLength < length) {
+                    span.innerRanges.push(other.entry.decoration.range);
                 }
             });
-            resolve();
-        } catch (error) {
-            console.error('Error loading highlights.json:', error);
-            resolve();
         }
+        openSpans.push(span);
+    });
+
+    const paintRanges = new Map();
+    spans.forEach(span => {
+        const range = span.entry.decoration.range;
+        paintRanges.set(span.entry.decoration, span.innerRanges.length > 0 ? subtractRanges(range, span.innerRanges) : [range]);
     });
+    return paintRanges;
 }
 
-// ============================================================================
-// VALIDATION FUNCTIONS
-// ============================================================================
+/**
+ * Builds the hover message shown over a highlight
+ * Shows the layer, the note, tags and authorship, and links to edit the highlight
+ * @param {{name: string, description: string}} layer - Layer of the highlight
+ * @param {Object} decoration - Highlight
+ * @param {string} uri - Document URI
+ * @param {string} layerId - Layer id
+ * @returns {vscode.MarkdownString[]} Hover message: the description, then the action links
+ */
+function buildHoverMessage(layer, decoration, uri, layerId) {
+    const target = { uri, layerId, startLine: decoration.range.start.line, startCharacter: decoration.range.start.character };
+    const link = (title, command) => `[${title}](command:${command}?${encodeURIComponent(JSON.stringify([target]))})`;
+    const actions = new vscode.MarkdownString([
+        link(decoration.note ? 'Edit note' : 'Add note', 'code-highlighter.editHighlightNote'),
+        link('Edit tags', 'code-highlighter.editHighlightTags'),
+        link('Change layer', 'code-highlighter.recolorHighlight'),
+        link('Remove', 'code-highlighter.removeHighlight')
+    ].join(' | '));
+
+    // Only our own action links are trusted; notes and tags come from the shared highlights.json
+    actions.isTrusted = true;
+    return [buildHighlightDescription(layer, decoration), actions];
+}
 
 /**
- * Validates if a color string is a valid hex color
- * Accepts 6 digits (RGB) or 8 digits (RGBA) with # prefix
- * @param {string} color - Color string to validate
- * @returns {boolean} True if valid hex color
+ * Builds the description of a highlight: its layer, note, tags and authorship
+ * Never trusted, so command links planted in a note cannot run
+ * @param {{name: string, description: string}} layer - Layer of the highlight
+ * @param {Object} decoration - Highlight
+ * @returns {vscode.MarkdownString} Description
  */
-function isValidColor(color) {
-    return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{8})$/.test(color);
+function buildHighlightDescription(layer, decoration) {
+    const hoverText = layer.description ? `${layer.name}: ${layer.description}` : layer.name;
+    const markdown = new vscode.MarkdownString(`**Code highlight:** ${escapeMarkdown(hoverText)}`);
+
+    if (decoration.note) {
+        markdown.appendMarkdown(`\n\n${decoration.note}`);
+    }
+    if (decoration.tags && decoration.tags.length > 0) {
+        markdown.appendMarkdown(`\n\n${decoration.tags.map(tag => `\`#${tag}\``).join(' ')}`);
+    }
+
+    const authorship = [];
+    if (decoration.auto) {
+        authorship.push('assigned by a layer rule');
+    }
+    if (decoration.symbol) {
+        authorship.push(`follows ${decoration.symbol.kind.toLowerCase()} ${escapeMarkdown(decoration.symbol.path.join('.'))}`);
+    }
+    if (decoration.author) {
+        authorship.push(`by ${escapeMarkdown(decoration.author)}`);
+    }
+    if (decoration.createdAt) {
+        authorship.push(`added ${formatTimestamp(decoration.createdAt)}`);
+    }
+    if (decoration.updatedAt && decoration.updatedAt !== decoration.createdAt) {
+        authorship.push(`updated ${formatTimestamp(decoration.updatedAt)}`);
+    }
+    if (authorship.length > 0) {
+        markdown.appendMarkdown(`\n\n*${authorship.join(' · ')}*`);
+    }
+    return markdown;
 }
 
-// ============================================================================
-// EXTENSION DEACTIVATION
-// ============================================================================
+/**
+ * Escapes Markdown special characters in plain text
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to embed in Markdown
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_{}[\]()#+\-.!|<>]/g, '\\$&');
+}
 
 /**
- * Extension deactivation function called by VS Code
- * Saves highlights and cleans up resources
+ * Formats an ISO timestamp for display
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Localized date and time, or the raw value if it cannot be parsed
  */
-function deactivate() {
+function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? timestamp : date.toLocaleString();
+}
+
+/**
+ * Notifies listeners (such as the Highlight Explorer) that highlights changed
+ */
+function notifyHighlightsChanged() {
+    if (notifyTimer) {
+        clearTimeout(notifyTimer);
+        notifyTimer = null;
+    }
+    highlightsChangedEmitter.fire();
+}
+
+/**
+ * Schedules a debounced highlights change notification
+ * Used while typing, so the listeners run once per pause instead of on every keystroke
+ */
+function scheduleHighlightsChangedNotification() {
+    if (notifyTimer) {
+        clearTimeout(notifyTimer);
+    }
+    notifyTimer = setTimeout(() => {
+        notifyTimer = null;
+        highlightsChangedEmitter.fire();
+    }, NOTIFY_DEBOUNCE_DELAY);
+}
+
+/**
+ * Applies all highlights to the given editor
+ * Only applies if highlights are enabled
+ * @param {vscode.TextEditor} editor - Editor to apply highlights to
+ */
+function applyHighlights(editor) {
+    const uri = editor.document.uri.toString();
+    const documentHighlights = highlightDecorations.get(uri);
+    
+    // Primero limpiar todas las decoraciones existentes
+    decorationTypes.forEach((decorationType) => {
+        editor.setDecorations(decorationType, []);
+    });
+    if (focusDimDecorationType) {
+        editor.setDecorations(focusDimDecorationType, []);
+    }
+
+    if (!colorsEnabled) return;
+
+    // En modo focus se atenúa todo el código fuera de los layers elegidos
+    if (focusedLayers) {
+        const focusedRanges = [];
+        if (documentHighlights) {
+            documentHighlights.forEach((decorations, layerId) => {
+                if (!focusedLayers.has(layerId)) return;
+                decorations.forEach(decoration => {
+                    if (!decoration.orphaned) focusedRanges.push(decoration.range);
+                });
+            });
+        }
+        editor.setDecorations(getFocusDimDecorationType(), getUncoveredRanges(editor.document, focusedRanges));
+    }
+
+    // Si no hay highlights para este documento, terminar aquí
+    if (!documentHighlights || documentHighlights.size === 0) {
+        return;
+    }
+
+    // Los highlights anidados se pintan encima de los que los contienen (orphaned highlights are never painted)
+    const visibleEntries = [];
+    documentHighlights.forEach((decorations, layerId) => {
+        if (!isLayerVisible(layerId)) return;
+        decorations.forEach(decoration => {
+            if (!decoration.orphaned) visibleEntries.push({ layerId, decoration });
+        });
+    });
+    const paintRanges = getNestedPaintRanges(editor.document, visibleEntries);
+
+    // Aplicar highlights por layer
+    documentHighlights.forEach((decorations, layerId) => {
+        if (!isLayerVisible(layerId)) return;
+        const layer = getLayer(layerId);
+
+        const options = [];
+        decorations.forEach(decoration => {
+            if (decoration.orphaned) return;
+            const hoverMessage = buildHoverMessage(layer, decoration, uri, layerId);
+            paintRanges.get(decoration).forEach(range => options.push({ range, hoverMessage }));
+        });
+        editor.setDecorations(getDecorationType(layerId), options);
+    });
+}
+
+/**
+ * Clears all highlights from the given editor
+ * @param {vscode.TextEditor} editor - Editor to clear highlights from
+ */
+function clearHighlights(editor) {
+    const uri = editor.document.uri.toString();
+    const documentHighlights = highlightDecorations.get(uri);
+    if (!documentHighlights) return;
+
+    highlightDecorations.delete(uri);
+    applyHighlights(editor);
+}
+
+/**
+ * Updates highlights after document changes
+ * Applies every content change to every highlight of the document, shifting,
+ * growing or shrinking ranges and dropping those whose text was fully deleted
+ * @param {vscode.TextDocumentChangeEvent} event - Change event
+ */
+function updateHighlightsForChanges(event) {
+    const uri = event.document.uri.toString();
+    const documentHighlights = highlightDecorations.get(uri);
+    if (!documentHighlights) return;
+
+    let hasChanged = false;
+    let hasDropped = false;
+    documentHighlights.forEach((decorations, layerId) => {
+        const remainingDecorations = [];
+        decorations.forEach(decoration => {
+            if (decoration.orphaned) {
+                remainingDecorations.push(decoration);
+                return;
+            }
+
+            let range = decoration.range;
+            // Changes are reported in descending order, so they can be applied one after another
+            for (const change of event.contentChanges) {
+                range = shiftRangeForChange(range, change);
+                if (!range) break;
+            }
+
+            if (!range) {
+                hasChanged = true;
+                hasDropped = true;
+                return;
+            }
+            if (!range.isEqual(decoration.range)) {
+                decoration.range = range;
+                hasChanged = true;
+            }
+            remainingDecorations.push(decoration);
+        });
+
+        if (remainingDecorations.length > 0) {
+            documentHighlights.set(layerId, remainingDecorations);
+        } else {
+            documentHighlights.delete(layerId);
+        }
+    });
+
+    if (!hasChanged) return;
+
+    getEditorsForDocument(event.document).forEach(editor => {
+        applyHighlights(editor);
+    });
+    saveHighlights(uri);
+    // Shifted ranges only need the listeners once typing pauses, dropped highlights must disappear now
+    if (hasDropped) {
+        notifyHighlightsChanged();
+    } else {
+        scheduleHighlightsChangedNotification();
+    }
+}
+
+/**
+ * Computes the position where the text inserted by a change ends
+ * @param {vscode.TextDocumentContentChangeEvent} change - Content change
+ * @returns {vscode.Position} End position of the inserted text
+ */
+function getInsertedTextEnd(change) {
+    const start = change.range.start;
+    const lines = change.text.split(/\r\n|\r|\n/);
+    if (lines.length === 1) {
+        return start.translate(0, change.text.length);
+    }
+    return new vscode.Position(start.line + lines.length - 1, lines[lines.length - 1].length);
+}
+
+/**
+ * Moves a position located at or after the end of a change by the size of the change
+ * @param {vscode.Position} position - Position after the changed range
+ * @param {vscode.TextDocumentContentChangeEvent} change - Content change
+ * @param {vscode.Position} insertedEnd - End position of the inserted text
+ * @returns {vscode.Position} Shifted position
+ */
+function shiftPosition(position, change, insertedEnd) {
+    const changeEnd = change.range.end;
+    if (position.line === changeEnd.line) {
+        return new vscode.Position(insertedEnd.line, insertedEnd.character + (position.character - changeEnd.character));
+    }
+    return position.translate(insertedEnd.line - changeEnd.line, 0);
+}
+
+/**
+ * Applies a single content change to a highlight range
+ * Text inserted at the edges of a highlight becomes part of it, matching the
+ * ClosedClosed range behavior of the decorations
+ * @param {vscode.Range} range - Highlight range before the change
+ * @param {vscode.TextDocumentContentChangeEvent} change - Content change
+ * @returns {vscode.Range|null} Updated range, or null if the highlighted text was deleted
+ */
+function shiftRangeForChange(range, change) {
+    const changeRange = change.range;
+
+    // Change is after the highlight, nothing to do
+    if (changeRange.start.isAfter(range.end)) return range;
+
+    // The whole highlighted text was deleted or replaced
+    if (!changeRange.isEmpty && changeRange.contains(range)) return null;
+
+    const insertedEnd = getInsertedTextEnd(change);
+
+    let start;
+    if (range.start.isBeforeOrEqual(changeRange.start)) {
+        start = range.start;
+    } else if (range.start.isBefore(changeRange.end)) {
+        start = changeRange.start;
+    } else {
+        start = shiftPosition(range.start, change, insertedEnd);
+    }
+
+    let end;
+    if (range.end.isBefore(changeRange.end)) {
+        end = insertedEnd;
+    } else {
+        end = shiftPosition(range.end, change, insertedEnd);
+    }
+
+    const updatedRange = new vscode.Range(start, end);
+    return updatedRange.isEmpty ? null : updatedRange;
+}
+
+/**
+ * Re-applies highlights to every visible editor showing the given document URI
+ * @param {string} uri - Document URI
+ */
+function refreshEditorsForUri(uri) {
+    vscode.window.visibleTextEditors
+        .filter(editor => editor.document.uri.toString() === uri)
+        .forEach(editor => applyHighlights(editor));
+}
+
+/**
+ * Gets all visible editors showing the given document
+ * @param {vscode.TextDocument} document - Document to look for
+ * @returns {vscode.TextEditor[]} Visible editors for the document
+ */
+function getEditorsForDocument(document) {
+    return vscode.window.visibleTextEditors.filter(editor => editor.document === document);
+}
+
+/**
+ * Restores highlights when switching to an editor
+ * @param {vscode.TextEditor} editor - Editor to restore highlights in
+ */
+function restoreHighlights(editor) {
+    if (!colorsEnabled) return;
+    applyHighlights(editor);
+}
+
+// ============================================================================
+// LAYER VISIBILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Checks whether the highlights of a layer are painted
+ * @param {string} layerId - Layer id
+ * @returns {boolean} True if the layer is visible
+ */
+function isLayerVisible(layerId) {
+    if (!colorsEnabled) return false;
+    if (focusedLayers) return focusedLayers.has(layerId);
+    return !hiddenLayers.has(layerId);
+}
+
+/**
+ * Restores the layer visibility saved in workspaceState
+ */
+function loadLayerVisibility() {
+    const state = context.workspaceState.get(LAYER_VISIBILITY_STATE_KEY, {});
+    colorsEnabled = state.enabled !== false;
+    hiddenLayers = new Set(Array.isArray(state.hiddenLayers) ? state.hiddenLayers : []);
+    focusedLayers = Array.isArray(state.focusedLayers) ? new Set(state.focusedLayers) : null;
+    vscode.commands.executeCommand('setContext', 'codeHighlighter.focusMode', !!focusedLayers);
+}
+
+/**
+ * Persists the layer visibility and re-renders every visible editor, the status bar and the explorer
+ */
+function applyLayerVisibility() {
+    context.workspaceState.update(LAYER_VISIBILITY_STATE_KEY, {
+        enabled: colorsEnabled,
+        hiddenLayers: Array.from(hiddenLayers),
+        focusedLayers: focusedLayers ? Array.from(focusedLayers) : null
+    });
+    vscode.commands.executeCommand('setContext', 'codeHighlighter.focusMode', !!focusedLayers);
+
+    vscode.window.visibleTextEditors.forEach(editor => applyHighlights(editor));
+    updateStatusBarButton();
+    updateCursorLayerStatus();
+    if (highlightExplorerProvider) {
+        highlightExplorerProvider.refresh();
+    }
+    if (highlightFileDecorationProvider) {
+        highlightFileDecorationProvider.refresh();
+    }
+}
+
+/**
+ * Lists every known layer: the configured ones followed by the ones only used by highlights
+ * @returns {Array<{id: string, name: string, description: string, value: string}>} Layers
+ */
+function getKnownLayers() {
+    const layers = getAvailableColors().slice();
+    const knownIds = new Set(layers.map(layer => layer.id));
+    getAllHighlightEntries().forEach(({ layerId }) => {
+        if (!knownIds.has(layerId)) {
+            knownIds.add(layerId);
+            layers.push(getLayer(layerId));
+        }
+    });
+    return layers;
+}
+
+/**
+ * Shows a multi-select quick pick of every known layer
+ * @param {string} placeHolder - Quick pick placeholder
+ * @param {function(string): boolean} isPicked - Whether a layer starts selected
+ * @returns {Promise<string[]|undefined>} Selected layer ids, or undefined if cancelled
+ */
+async function pickLayers(placeHolder, isPicked) {
+    const highlightCounts = new Map();
+    getAllHighlightEntries().forEach(({ layerId }) => {
+        highlightCounts.set(layerId, (highlightCounts.get(layerId) || 0) + 1);
+    });
+
+    const items = getKnownLayers().map(layer => ({
+        label: `$(symbol-color) ${layer.name}`,
+        description: `${highlightCounts.get(layer.id) || 0} highlights`,
+        detail: layer.description,
+        picked: isPicked(layer.id),
+        layerId: layer.id
+    }));
+
+    const selectedItems = await vscode.window.showQuickPick(items, { placeHolder, canPickMany: true });
+    return selectedItems && selectedItems.map(item => item.layerId);
+}
+
+/**
+ * Handler for the 'toggleLayerVisibility' command
+ * From the Highlight Explorer it toggles the given layer, otherwise it lets the user pick the visible layers
+ * @param {Object} [element] - Layer node of the Highlight Explorer
+ */
+async function toggleLayerVisibilityCommandHandler(element) {
+    if (element && element.type === 'layer') {
+        if (hiddenLayers.has(element.layerId)) {
+            hiddenLayers.delete(element.layerId);
+        } else {
+            hiddenLayers.add(element.layerId);
+        }
+    } else {
+        const visibleLayerIds = await pickLayers('Select the layers to show', layerId => !hiddenLayers.has(layerId));
+        if (!visibleLayerIds) return;
+
+        hiddenLayers = new Set(getKnownLayers()
+            .map(layer => layer.id)
+            .filter(layerId => !visibleLayerIds.includes(layerId)));
+    }
+
+    applyLayerVisibility();
+}
+
+/**
+ * Handler for the 'focusLayers' command
+ * Shows only the chosen layers and dims the rest of the code
+ * @param {Object} [element] - Layer node of the Highlight Explorer
+ */
+async function focusLayersCommandHandler(element) {
+    let layerIds;
+    if (element && element.type === 'layer') {
+        layerIds = [element.layerId];
+    } else {
+        layerIds = await pickLayers('Select the layers to focus on', layerId => !!focusedLayers && focusedLayers.has(layerId));
+        if (!layerIds) return;
+    }
+
+    if (layerIds.length === 0) {
+        exitFocusModeCommandHandler();
+        return;
+    }
+
+    focusedLayers = new Set(layerIds);
+    colorsEnabled = true;
+    applyLayerVisibility();
+}
+
+/**
+ * Handler for the 'exitFocusMode' command
+ */
+function exitFocusModeCommandHandler() {
+    if (!focusedLayers) return;
+    focusedLayers = null;
+    applyLayerVisibility();
+}
+
+/**
+ * Gets the decoration type dimming code in focus mode, creating it on first use
+ * @returns {vscode.TextEditorDecorationType} Decoration type
+ */
+function getFocusDimDecorationType() {
+    if (!focusDimDecorationType) {
+        focusDimDecorationType = vscode.window.createTextEditorDecorationType({ opacity: FOCUS_DIM_OPACITY });
+        context.subscriptions.push(focusDimDecorationType);
+    }
+    return focusDimDecorationType;
+}
+
+/**
+ * Gets the ranges of a document not covered by any of the given ranges
+ * @param {vscode.TextDocument} document - Document
+ * @param {vscode.Range[]} ranges - Covered ranges, in any order and possibly overlapping
+ * @returns {vscode.Range[]} Uncovered ranges
+ */
+function getUncoveredRanges(document, ranges) {
+    const documentEnd = document.lineAt(document.lineCount - 1).range.end;
+    return subtractRanges(new vscode.Range(new vscode.Position(0, 0), documentEnd), ranges);
+}
+
+// ============================================================================
+// HIGHLIGHT NOTES FUNCTIONS
+// ============================================================================
+
+/**
+ * Gets the author saved in new highlights
+ * @returns {string} Configured author, or the operating system user name
+ */
+function getHighlightAuthor() {
+    const configuredAuthor = vscode.workspace.getConfiguration('codeHighlighter').get('author', '');
+    if (configuredAuthor) return configuredAuthor;
+    try {
+        return os.userInfo().username;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Resolves the highlight a command applies to
+ * Accepts a Highlight Explorer node, the target of a hover command link, or nothing;
+ * without a target the highlight under the cursor of the active editor is used
+ * @param {Object} [target] - Highlight node or { uri, layerId, startLine, startCharacter }
+ * @returns {Promise<Object|undefined>} Highlight node, or undefined if there is none
+ */
+async function resolveHighlightTarget(target) {
+    if (target && target.decoration) return target;
+
+    if (target && target.uri) {
+        const layerMap = highlightDecorations.get(target.uri);
+        const decorations = (layerMap && layerMap.get(target.layerId)) || [];
+        const decoration = decorations.find(candidate =>
+            candidate.range.start.line === target.startLine &&
+            candidate.range.start.character === target.startCharacter
+        );
+        if (!decoration) {
+            vscode.window.showWarningMessage('This code highlight no longer exists');
+            return undefined;
+        }
+        return { type: 'highlight', uri: target.uri, layerId: target.layerId, decoration };
+    }
+
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return undefined;
+    const uri = editor.document.uri.toString();
+    const position = editor.selection.active;
+    const candidates = getAllHighlightEntries().filter(entry =>
+        entry.uri === uri && !entry.decoration.orphaned && entry.decoration.range.contains(position)
+    );
+
+    if (candidates.length === 0) {
+        vscode.window.showInformationMessage('No code highlight under the cursor');
+        return undefined;
+    }
+    if (candidates.length === 1) {
+        return Object.assign({ type: 'highlight' }, candidates[0]);
+    }
+
+    const selectedItem = await vscode.window.showQuickPick(candidates.map(entry => ({
+        label: getLayer(entry.layerId).name,
+        description: `Ln ${entry.decoration.range.start.line + 1}-${entry.decoration.range.end.line + 1}`,
+        detail: entry.decoration.note,
+        entry
+    })), { placeHolder: 'Select a code highlight' });
+    return selectedItem && Object.assign({ type: 'highlight' }, selectedItem.entry);
+}
+
+/**
+ * Saves and re-renders a highlight after its metadata changed
+ * @param {Object} element - Highlight node
+ */
+function touchHighlight(element) {
+    element.decoration.updatedAt = new Date().toISOString();
+    refreshEditorsForUri(element.uri);
+    saveHighlights(element.uri);
+    notifyHighlightsChanged();
+}
+
+/**
+ * Handler for the 'editHighlightNote' command
+ * Edits the free-text note of a highlight; an empty note removes it
+ * @param {Object} [target] - Highlight node or hover link target
+ */
+async function editHighlightNoteCommandHandler(target) {
+    const element = await resolveHighlightTarget(target);
+    if (!element) return;
+
+    const note = await vscode.window.showInputBox({
+        prompt: `Note for this ${getLayer(element.layerId).name} highlight (Markdown, leave empty to remove)`,
+        placeHolder: 'e.g. Extract into PaymentService',
+        value: element.decoration.note || ''
+    });
+    if (note === undefined) return;
+
+    const before = captureHighlightSnapshot([element.uri]);
+    if (note.trim()) {
+        element.decoration.note = note.trim();
+    } else {
+        delete element.decoration.note;
+    }
+    touchHighlight(element);
+    pushHighlightHistory('Edit highlight note', before);
+}
+
+/**
+ * Handler for the 'editHighlightTags' command
+ * Edits the tags of a highlight as a comma-separated list
+ * @param {Object} [target] - Highlight node or hover link target
+ */
+async function editHighlightTagsCommandHandler(target) {
+    const element = await resolveHighlightTarget(target);
+    if (!element) return;
+
+    const input = await vscode.window.showInputBox({
+        prompt: 'Comma-separated tags (leave empty to remove all)',
+        placeHolder: 'e.g. team-b, refactor',
+        value: (element.decoration.tags || []).join(', ')
+    });
+    if (input === undefined) return;
+
+    const before = captureHighlightSnapshot([element.uri]);
+    const tags = parseHighlightTags(input);
+    if (tags.length > 0) {
+        element.decoration.tags = tags;
+    } else {
+        delete element.decoration.tags;
+    }
+    touchHighlight(element);
+    pushHighlightHistory('Edit highlight tags', before);
+}
+
+/**
+ * Parses a comma-separated list of tags
+ * @param {string} input - Tags as typed by the user, e.g. '#team-b, refactor'
+ * @returns {string[]} Unique tags without leading '#'
+ */
+function parseHighlightTags(input) {
+    const tags = input
+        .split(',')
+        .map(tag => tag.trim().replace(/^#+/, '').trim())
+        .filter(tag => tag.length > 0);
+    return Array.from(new Set(tags));
+}
+
+// ============================================================================
+// ARCHITECTURE REPORT FUNCTIONS
+// ============================================================================
+
+/**
+ * Handler for the 'exportReport' command
+ * Asks for a format and a destination and writes the architecture report of the workspace
+ */
+async function exportReportCommandHandler() {
+    const stores = getAllHighlightStores();
+    if (stores.length === 0) {
+        vscode.window.showWarningMessage('Open a workspace folder to export an architecture report');
+        return;
+    }
+
+    const format = await vscode.window.showQuickPick(REPORT_FORMATS.map(reportFormat => ({
+        label: reportFormat.label,
+        description: `.${reportFormat.extension}`,
+        reportFormat
+    })), { placeHolder: 'Select the format of the architecture report' });
+    if (!format) return;
+
+    const targetUri = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.joinPath(stores[0].folder.uri, `architecture-report.${format.reportFormat.extension}`),
+        filters: { [format.reportFormat.label]: [format.reportFormat.extension] }
+    });
+    if (!targetUri) return;
+
+    try {
+        const report = buildArchitectureReport(stores);
+        const content = format.reportFormat.render(report);
+        await vscode.workspace.fs.writeFile(targetUri, Buffer.from(content, 'utf8'));
+
+        const choice = await vscode.window.showInformationMessage(
+            `Architecture report exported: ${report.layers.length} layer(s), ${report.totalHighlights} highlight(s)`,
+            'Open'
+        );
+        if (choice === 'Open') {
+            if (format.reportFormat.id === 'html') {
+                await vscode.env.openExternal(targetUri);
+            } else {
+                await vscode.window.showTextDocument(await vscode.workspace.openTextDocument(targetUri));
+            }
+        }
+    } catch (error) {
+        vscode.window.showErrorMessage(`Error exporting architecture report: ${error.message}`);
+    }
+}
+
+/**
+ * Builds the architecture report of the given workspace folders
+ * Uses the same data saveHighlights writes to highlights.json, plus the highlighted code
+ * @param {Object[]} stores - Highlights stores
+ * @returns {{generatedAt: string, totalHighlights: number, totalLines: number, layers: Object[]}} Report grouped by layer and file
+ */
+function buildArchitectureReport(stores) {
+    const folders = stores.map(store => ({
+        name: store.folder.name,
+        root: store.folder.uri.fsPath,
+        data: serializeHighlights(store)
+    }));
+    return highlightsCore.buildArchitectureReport(folders, {
+        getLayer,
+        readFileText: absolutePath => readCurrentFileText(vscode.Uri.file(absolutePath).toString(), absolutePath)
+    });
+}
+
+/**
+ * Renders an architecture report as Markdown
+ * @param {Object} report - Report from buildArchitectureReport
+ * @returns {string} Markdown document
+ */
+function renderReportMarkdown(report) {
+    const lines = [
+        '# Architecture Report',
+        '',
+        `Generated ${report.generatedAt} · ${report.totalHighlights} highlight(s) · ${report.totalLines} line(s)`,
+        '',
+        '| Layer | Highlights | Files | Lines |',
+        '|-------|-----------:|------:|------:|'
+    ];
+    report.layers.forEach(layer => {
+        lines.push(`| ${layer.name} | ${layer.totalHighlights} | ${layer.files.length} | ${layer.totalLines} |`);
+    });
+
+    report.layers.forEach(layer => {
+        lines.push('', `## ${layer.name}`, '');
+        if (layer.description) {
+            lines.push(layer.description, '');
+        }
+        lines.push(`\`${layer.id}\` · \`${layer.color}\` · ${layer.totalHighlights} highlight(s) · ${layer.totalLines} line(s)`);
+
+        layer.files.forEach(file => {
+            lines.push('', `### ${file.path}`);
+            file.highlights.forEach(highlight => {
+                lines.push('', `**Lines ${highlight.startLine}-${highlight.endLine}**${highlight.orphaned ? ' (orphaned)' : ''}`);
+                if (highlight.note) {
+                    lines.push('', highlight.note);
+                }
+                if (highlight.tags.length > 0) {
+                    lines.push('', highlight.tags.map(tag => `\`#${tag}\``).join(' '));
+                }
+                if (highlight.excerpt) {
+                    // The fence must be longer than any backtick run in the code
+                    const longestRun = Math.max(2, ...(highlight.excerpt.match(/`+/g) || []).map(run => run.length));
+                    const fence = '`'.repeat(longestRun + 1);
+                    lines.push('', fence, highlight.excerpt, fence);
+                }
+            });
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders an architecture report as a standalone HTML page
+ * Excerpts are painted with the color of their layer
+ * @param {Object} report - Report from buildArchitectureReport
+ * @returns {string} HTML document
+ */
+function renderReportHtml(report) {
+    const summaryRows = report.layers.map(layer =>
+        `<tr><td><span class="swatch" style="background:${layer.color}"></span>${escapeHtml(layer.name)}</td>` +
+        `<td>${layer.totalHighlights}</td><td>${layer.files.length}</td><td>${layer.totalLines}</td></tr>`
+    ).join('\n');
+
+    const sections = report.layers.map(layer => {
+        const files = layer.files.map(file => {
+            const highlights = file.highlights.map(highlight => [
+                `<h4>Lines ${highlight.startLine}-${highlight.endLine}${highlight.orphaned ? ' <em>(orphaned)</em>' : ''}</h4>`,
+                highlight.note ? `<p class="note">${escapeHtml(highlight.note)}</p>` : '',
+                highlight.tags.length > 0 ? `<p>${highlight.tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join(' ')}</p>` : '',
+                highlight.excerpt ? `<pre style="background:${layer.color};border-left-color:${getDarkerBorderColor(layer.color)}">${escapeHtml(highlight.excerpt)}</pre>` : ''
+            ].filter(part => part).join('\n')).join('\n');
+            return `<h3>${escapeHtml(file.path)}</h3>\n${highlights}`;
+        }).join('\n');
+
+        return [
+            `<section>`,
+            `<h2><span class="swatch" style="background:${layer.color}"></span>${escapeHtml(layer.name)}</h2>`,
+            layer.description ? `<p>${escapeHtml(layer.description)}</p>` : '',
+            `<p class="meta"><code>${escapeHtml(layer.id)}</code> · ${layer.totalHighlights} highlight(s) · ${layer.totalLines} line(s)</p>`,
+            files,
+            `</section>`
+        ].filter(part => part).join('\n');
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Architecture Report</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", sans-serif; margin: 2em auto; max-width: 960px; color: #222; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: left; }
+pre { padding: 8px 12px; border-left: 4px solid; overflow-x: auto; font-family: Consolas, "Courier New", monospace; }
+.swatch { display: inline-block; width: 0.9em; height: 0.9em; border-radius: 50%; margin-right: 0.4em; vertical-align: middle; }
+.tag { background: #eee; border-radius: 3px; padding: 1px 5px; font-size: 0.9em; }
+.note { font-style: italic; }
+.meta { color: #666; }
+</style>
+</head>
+<body>
+<h1>Architecture Report</h1>
+<p class="meta">Generated ${escapeHtml(report.generatedAt)} · ${report.totalHighlights} highlight(s) · ${report.totalLines} line(s)</p>
+<table>
+<tr><th>Layer</th><th>Highlights</th><th>Files</th><th>Lines</th></tr>
+${summaryRows}
+</table>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders an architecture report as CSV, one row per highlight
+ * @param {Object} report - Report from buildArchitectureReport
+ * @returns {string} CSV document
+ */
+function renderReportCsv(report) {
+    const rows = [['Layer', 'Layer Id', 'File', 'Start Line', 'End Line', 'Lines', 'Note', 'Tags', 'Author', 'Orphaned', 'Code']];
+    report.layers.forEach(layer => {
+        layer.files.forEach(file => {
+            file.highlights.forEach(highlight => {
+                rows.push([
+                    layer.name,
+                    layer.id,
+                    file.path,
+                    highlight.startLine,
+                    highlight.endLine,
+                    highlight.lineCount,
+                    highlight.note,
+                    highlight.tags.join(' '),
+                    highlight.author,
+                    highlight.orphaned ? 'yes' : 'no',
+                    highlight.excerpt
+                ]);
+            });
+        });
+    });
+    return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to embed in HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Quotes a CSV field when needed
+ * Text starting like a formula (=, +, -, @, tab or carriage return) is prefixed with ',
+ * so notes, tags and paths from highlights.json never run as formulas in a spreadsheet
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function escapeCsvField(value) {
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ============================================================================
+// COVERAGE FUNCTIONS
+// ============================================================================
+
+/**
+ * Handler for the 'showCoverage' command
+ * Opens the coverage dashboard: per layer the highlights, covered lines and touched files,
+ * and the covered share of every folder and file of the workspace
+ */
+async function showCoverageCommandHandler() {
+    if (getAllHighlightStores().length === 0) {
+        vscode.window.showWarningMessage('Open a folder to see its layer coverage');
+        return;
+    }
+
+    coverageFiles = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Counting the lines of the workspace'
+    }, () => collectCoverageFiles());
+
+    if (!coveragePanel) {
+        coveragePanel = vscode.window.createWebviewPanel(
+            'codeHighlighter.coverage',
+            'Layer Coverage',
+            vscode.ViewColumn.Active,
+            { enableScripts: true }
+        );
+        coveragePanel.onDidDispose(() => {
+            coveragePanel = null;
+            coverageFiles = null;
+        });
+        coveragePanel.webview.onDidReceiveMessage(message => onCoveragePanelMessage(message));
+    }
+    updateCoveragePanel();
+    coveragePanel.reveal();
+}
+
+/**
+ * Handler for the 'findUnclassifiedCode' command
+ * Lists the files of a folder without any highlight, and the top-level symbols
+ * without any highlight in the files that have some. Picking one opens it selected,
+ * ready for 'Add code highlight'
+ * @param {vscode.Uri} [folderUri] - Folder to look in, from the Explorer or the dashboard; asked for if omitted
+ */
+async function findUnclassifiedCodeCommandHandler(folderUri) {
+    if (getAllHighlightStores().length === 0) {
+        vscode.window.showWarningMessage('Open a folder to look for unclassified code');
+        return;
+    }
+
+    const collected = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Listing the files of the workspace'
+    }, () => collectCoverageFiles());
+
+    const warning = getCoverageTruncationWarning(collected);
+    if (warning) {
+        vscode.window.showWarningMessage(warning);
+    }
+
+    const scope = folderUri ? { uri: folderUri, name: vscode.workspace.asRelativePath(folderUri) } : await pickCoverageFolder(collected);
+    if (!scope) return;
+
+    const scopePath = scope.uri ? scope.uri.fsPath : null;
+    const files = [];
+    collected.forEach(({ files: folderFiles }) => {
+        folderFiles.forEach(file => {
+            const filePath = vscode.Uri.parse(file.uri).fsPath;
+            if (!scopePath || filePath === scopePath || filePath.startsWith(scopePath + path.sep)) {
+                files.push(file);
+            }
+        });
+    });
+
+    const items = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Looking for unclassified code in ${scope.name}`
+    }, () => findUnclassifiedCode(files));
+
+    if (items.length === 0) {
+        vscode.window.showInformationMessage(`Every file and top-level symbol of ${scope.name} has a code highlight`);
+        return;
+    }
+
+    const fileCount = items.filter(item => !item.range).length;
+    const selectedItem = await vscode.window.showQuickPick(items, {
+        placeHolder: `${fileCount} file(s) and ${items.length - fileCount} top-level symbol(s) without highlights in ${scope.name}`,
+        matchOnDescription: true
+    });
+    if (!selectedItem) return;
+
+    try {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(selectedItem.uri));
+        const range = selectedItem.range || new vscode.Range(0, 0, 0, 0);
+        await vscode.window.showTextDocument(document, { selection: new vscode.Selection(range.start, range.end) });
+    } catch (error) {
+        vscode.window.showErrorMessage(`Cannot open ${selectedItem.uri}: ${error.message}`);
+    }
+}
+
+/**
+ * Finds the unclassified files and top-level symbols among some files
+ * Only files with highlights are opened for their symbols; a file without any is listed as a whole
+ * @param {Array<{uri: string, path: string, lineCount: number}>} files - Files to look in
+ * @returns {Promise<Object[]>} Quick pick items with the document URI and, for symbols, their range
+ */
+async function findUnclassifiedCode(files) {
+    const items = [];
+    let symbolFileCount = 0;
+
+    for (const file of files) {
+        const layerMap = highlightDecorations.get(file.uri);
+        const ranges = [];
+        if (layerMap) {
+            layerMap.forEach(decorations => decorations.forEach(decoration => {
+                if (!decoration.orphaned) ranges.push(decoration.range);
+            }));
+        }
+
+        if (ranges.length === 0) {
+            items.push({ label: `$(file) ${file.path}`, description: `no highlights, ${file.lineCount} line(s)`, uri: file.uri });
+            continue;
+        }
+        if (symbolFileCount >= UNCLASSIFIED_MAX_SYMBOL_FILES) continue;
+        symbolFileCount++;
+
+        let symbols;
+        try {
+            symbols = await getDocumentSymbols(await vscode.workspace.openTextDocument(vscode.Uri.parse(file.uri)));
+        } catch (error) {
+            continue;
+        }
+        (symbols || [])
+            .filter(symbol => symbol.path.length === 1 && !ranges.some(range => rangesOverlap(range, symbol.range)))
+            .forEach(symbol => {
+                const icon = `symbol-${symbol.kind.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase()}`;
+                items.push({
+                    label: `$(${icon}) ${symbol.name}`,
+                    description: `${file.path}:${symbol.range.start.line + 1}`,
+                    uri: file.uri,
+                    range: symbol.range
+                });
+            });
+    }
+
+    return items;
+}
+
+/**
+ * Asks for the folder to look for unclassified code in
+ * Lists the folders that are not fully classified, the least covered first
+ * @param {Array<{store: Object, files: Object[]}>} collected - Files of each workspace folder
+ * @returns {Promise<{uri: vscode.Uri|null, name: string}|undefined>} Folder (null URI for the whole workspace), or undefined if cancelled
+ */
+async function pickCoverageFolder(collected) {
+    const report = buildCoverage(collected);
+    const items = report.folders
+        .filter(folder => folder.percent < 100)
+        .sort((a, b) => (a.path === '' ? -1 : b.path === '' ? 1 : a.percent - b.percent))
+        .map(folder => ({
+            label: folder.path ? `$(folder) ${folder.path}` : '$(root-folder) Whole workspace',
+            description: `${folder.percent}% classified, ${folder.unclassifiedFiles} of ${folder.files} file(s) without highlights`,
+            uri: folder.path ? coveragePathToUri(folder.path) : null,
+            name: folder.path || 'the workspace'
+        }));
+
+    if (items.length === 0) {
+        vscode.window.showInformationMessage('Every file of the workspace has a code highlight');
+        return undefined;
+    }
+    return vscode.window.showQuickPick(items, { placeHolder: 'Select the folder to look for unclassified code in' });
+}
+
+/**
+ * Lists the files of every workspace folder with their line counts
+ * Files excluded by the coverageExclude setting, unreadable files and binary files are left out.
+ * Files are read asynchronously, so large workspaces do not block the editor
+ * @returns {Promise<Array<{store: Object, files: Array<{uri: string, path: string, lineCount: number}>, truncated: boolean}>>}
+ *   Files of each workspace folder, truncated when the folder has more than RULES_MAX_FILES files
+ */
+async function collectCoverageFiles() {
+    const exclude = getCoverageExcludeGlob();
+    const collected = [];
+
+    for (const store of getAllHighlightStores()) {
+        const uris = await vscode.workspace.findFiles(new vscode.RelativePattern(store.folder, '**/*'), exclude, RULES_MAX_FILES);
+        const files = [];
+        for (const fileUri of uris) {
+            const uri = fileUri.toString();
+            const text = await readCurrentFileTextAsync(fileUri);
+            if (text === null || text.includes('\u0000')) continue;
+            files.push({ uri, path: getStoreRelativePath(store, uri), lineCount: countTextLines(text) });
+        }
+        collected.push({ store, files, truncated: uris.length >= RULES_MAX_FILES });
+    }
+    return collected;
+}
+
+/**
+ * Reads the current text of a file, preferring the open document over the disk
+ * Asynchronous counterpart of readCurrentFileText, for reading many files without blocking the editor
+ * @param {vscode.Uri} fileUri - File URI
+ * @returns {Promise<string|null>} File text or null if the file cannot be read
+ */
+async function readCurrentFileTextAsync(fileUri) {
+    const document = findOpenDocument(fileUri.toString());
+    if (document) return document.getText();
+
+    try {
+        return Buffer.from(await vscode.workspace.fs.readFile(fileUri)).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Describes the workspace folders whose file list was cut at RULES_MAX_FILES
+ * @param {Array<{store: Object, truncated: boolean}>} collected - Files of each workspace folder
+ * @returns {string|null} Warning for the user, or null if every file was listed
+ */
+function getCoverageTruncationWarning(collected) {
+    const names = collected.filter(entry => entry.truncated).map(entry => `"${entry.store.folder.name}"`);
+    if (names.length === 0) return null;
+    return `Only the first ${RULES_MAX_FILES} files of ${names.join(', ')} were counted. ` +
+        'Add the folders you do not need to the coverageExclude setting to count the rest';
+}
+
+/**
+ * Builds the coverage report of collected files against the current highlights
+ * Open documents are counted with their current text
+ * @param {Array<{store: Object, files: Object[]}>} collected - Files of each workspace folder
+ * @returns {Object} Report from buildCoverageReport
+ */
+function buildCoverage(collected) {
+    const openDocuments = new Map(vscode.workspace.textDocuments.map(document => [document.uri.toString(), document]));
+    return highlightsCore.buildCoverageReport(collected.map(({ store, files }) => ({
+        name: store.folder.name,
+        data: serializeHighlights(store),
+        files: files.map(file => {
+            const document = openDocuments.get(file.uri);
+            return { path: file.path, lineCount: document ? countTextLines(document.getText()) : file.lineCount };
+        })
+    })), { getLayer });
+}
+
+/**
+ * Gets the glob of files left out of coverage: the coverageExclude setting plus
+ * dependencies, git metadata and highlights.json
+ * @returns {string} Exclude glob for findFiles
+ */
+function getCoverageExcludeGlob() {
+    const patterns = vscode.workspace.getConfiguration('codeHighlighter').get('coverageExclude', []);
+    const globs = ALWAYS_EXCLUDED_GLOBS.concat((Array.isArray(patterns) ? patterns : []).filter(pattern => typeof pattern === 'string' && pattern));
+    return `{${globs.join(',')}}`;
+}
+
+/**
+ * Converts a folder or file path of the coverage report into a URI
+ * In a multi-root workspace, paths start with the workspace folder name
+ * @param {string} reportPath - Path from the coverage report
+ * @returns {vscode.Uri|null} URI, or null if its workspace folder is gone
+ */
+function coveragePathToUri(reportPath) {
+    const stores = getAllHighlightStores();
+    let store = stores[0];
+    let relativePath = reportPath;
+    if (stores.length > 1) {
+        const parts = reportPath.split(/[\\/]/);
+        store = stores.find(candidate => candidate.folder.name === parts[0]);
+        relativePath = parts.slice(1).join('/');
+    }
+    return store ? vscode.Uri.file(resolveWorkspacePath(store.folder.uri.fsPath, relativePath)) : null;
+}
+
+/**
+ * Schedules a debounced refresh of the coverage dashboard, if it is open
+ */
+function scheduleCoverageRefresh() {
+    if (!coveragePanel) return;
+    if (coverageRefreshTimer) {
+        clearTimeout(coverageRefreshTimer);
+    }
+    coverageRefreshTimer = setTimeout(() => {
+        coverageRefreshTimer = null;
+        updateCoveragePanel();
+    }, COVERAGE_REFRESH_DELAY);
+}
+
+/**
+ * Renders the coverage dashboard with the current highlights
+ * The file list is the one collected when the dashboard was opened or refreshed
+ */
+function updateCoveragePanel() {
+    if (!coveragePanel || !coverageFiles) return;
+    coveragePanel.webview.html = renderCoverageHtml(
+        buildCoverage(coverageFiles),
+        getCoverageTruncationWarning(coverageFiles),
+        crypto.randomBytes(16).toString('hex')
+    );
+}
+
+/**
+ * Handles the messages of the coverage dashboard
+ * @param {{command: string, path?: string}} message - 'refresh', 'open' a file or 'findUnclassified' in a folder
+ */
+async function onCoveragePanelMessage(message) {
+    if (message.command === 'refresh') {
+        showCoverageCommandHandler();
+    } else if (message.command === 'open') {
+        const uri = coveragePathToUri(message.path);
+        if (!uri) return;
+        try {
+            await vscode.window.showTextDocument(await vscode.workspace.openTextDocument(uri), { viewColumn: vscode.ViewColumn.Beside });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Cannot open ${message.path}: ${error.message}`);
+        }
+    } else if (message.command === 'findUnclassified') {
+        const folderUri = message.path ? coveragePathToUri(message.path) : null;
+        findUnclassifiedCodeCommandHandler(folderUri || undefined);
+    }
+}
+
+/**
+ * Renders the coverage dashboard
+ * @param {Object} report - Report from buildCoverageReport
+ * @param {string|null} warning - Warning shown above the report, if some files were not counted
+ * @param {string} nonce - Nonce allowing the dashboard script
+ * @returns {string} Webview HTML
+ */
+function renderCoverageHtml(report, warning, nonce) {
+    const bar = percent => `<div class="bar"><div style="width:${percent}%"></div></div> ${percent}%`;
+    const swatch = color => `<span class="swatch" style="background:${escapeHtml(color)}"></span>`;
+    const root = report.folders.find(folder => folder.path === '') || { files: 0, unclassifiedFiles: 0 };
+
+    const layerRows = report.layers.map(layer =>
+        `<tr><td>${swatch(layer.color)}${escapeHtml(layer.name)}</td><td>${layer.highlights}</td><td>${layer.files}</td>` +
+        `<td>${layer.lines}</td><td>${bar(layer.percent)}</td></tr>`
+    ).join('\n');
+
+    const folderRows = report.folders.filter(folder => folder.path !== '').map(folder =>
+        `<tr><td>${escapeHtml(folder.path)}/</td><td>${folder.files}</td><td>${folder.unclassifiedFiles}</td>` +
+        `<td>${folder.coveredLines} / ${folder.totalLines}</td><td>${bar(folder.percent)}</td>` +
+        `<td>${folder.percent < 100 ? `<a href="#" data-command="findUnclassified" data-path="${escapeHtml(folder.path)}">Find unclassified</a>` : ''}</td></tr>`
+    ).join('\n');
+
+    const fileRows = report.files.map(file =>
+        `<tr><td><a href="#" data-command="open" data-path="${escapeHtml(file.path)}">${escapeHtml(file.path)}</a></td>` +
+        `<td>${file.coveredLines} / ${file.totalLines}</td><td>${bar(file.percent)}</td>` +
+        `<td>${file.layers.map(layerId => { const layer = getLayer(layerId); return `<span title="${escapeHtml(layer.name)}">${swatch(layer.value)}</span>`; }).join('')}</td></tr>`
+    ).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<title>Layer Coverage</title>
+<style>
+body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 1em 2em; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border-bottom: 1px solid var(--vscode-panel-border); padding: 3px 10px; text-align: left; white-space: nowrap; }
+a { color: var(--vscode-textLink-foreground); }
+.bar { display: inline-block; width: 120px; height: 0.7em; background: var(--vscode-editorWidget-background); border: 1px solid var(--vscode-panel-border); vertical-align: middle; }
+.bar > div { height: 100%; background: var(--vscode-progressBar-background); }
+.swatch { display: inline-block; width: 0.9em; height: 0.9em; border-radius: 50%; margin-right: 0.4em; vertical-align: middle; }
+.meta { color: var(--vscode-descriptionForeground); }
+.warning { color: var(--vscode-editorWarning-foreground); }
+</style>
+</head>
+<body>
+<h1>Layer Coverage</h1>
+${warning ? `<p class="warning">${escapeHtml(warning)}</p>` : ''}
+<p>${bar(report.percent)} · ${report.coveredLines} of ${report.totalLines} line(s) classified · ${root.unclassifiedFiles} of ${root.files} file(s) without highlights</p>
+<p><a href="#" data-command="refresh">Refresh file list</a> · <a href="#" data-command="findUnclassified">Find unclassified code...</a></p>
+<h2>Layers</h2>
+<table>
+<tr><th>Layer</th><th>Highlights</th><th>Files</th><th>Lines</th><th>Share of the code</th></tr>
+${layerRows}
+</table>
+<h2>Folders</h2>
+<table>
+<tr><th>Folder</th><th>Files</th><th>Without highlights</th><th>Lines</th><th>Classified</th><th></th></tr>
+${folderRows}
+</table>
+<h2>Files</h2>
+<table>
+<tr><th>File</th><th>Lines</th><th>Classified</th><th>Layers</th></tr>
+${fileRows}
+</table>
+<p class="meta">A line is classified when a highlight covers part of it. Orphaned highlights are not counted. Files matching the <code>coverageExclude</code> setting are left out.</p>
+<script nonce="${nonce}">
+const vscode = acquireVsCodeApi();
+document.addEventListener('click', event => {
+    const link = event.target.closest('a[data-command]');
+    if (!link) return;
+    event.preventDefault();
+    vscode.postMessage({ command: link.dataset.command, path: link.dataset.path });
+});
+</script>
+</body>
+</html>
+`;
+}
+
+// ============================================================================
+// PALETTE FUNCTIONS
+// ============================================================================
+
+/**
+ * Handler for the 'applyPalettePreset' command
+ * Asks for a built-in palette and where to use it
+ */
+async function applyPalettePresetCommandHandler() {
+    const selected = await vscode.window.showQuickPick(PALETTE_PRESETS.map(preset => ({
+        label: preset.name,
+        description: preset.description,
+        detail: preset.layers.map(layer => layer.name).join(' · '),
+        preset
+    })), { placeHolder: 'Select a palette preset' });
+    if (!selected) return;
+
+    await applyPalette({ name: selected.preset.name, layers: selected.preset.layers });
+}
+
+/**
+ * Handler for the 'importPalette' command
+ * Reads a palette file, or a customColors array copied from settings, and asks where to use it
+ */
+async function importPaletteCommandHandler() {
+    const fileUris = await vscode.window.showOpenDialog({
+        canSelectMany: false,
+        filters: { Palette: ['json'] },
+        openLabel: 'Import palette'
+    });
+    if (!fileUris || fileUris.length === 0) return;
+
+    const fileUri = fileUris[0];
+    let parsed;
+    try {
+        const content = Buffer.from(await vscode.workspace.fs.readFile(fileUri)).toString('utf8');
+        parsed = parsePalette(JSON.parse(content));
+    } catch (error) {
+        vscode.window.showErrorMessage(`Error importing palette ${fileUri.fsPath}: ${error.message}`);
+        return;
+    }
+
+    if (parsed.problems.length > 0) {
+        const outputChannel = getOutputChannel();
+        outputChannel.appendLine(`${fileUri.fsPath}: ${parsed.problems.length} invalid layer(s) skipped`);
+        parsed.problems.forEach(problem => outputChannel.appendLine(`  ${problem}`));
+        vscode.window.showWarningMessage(`${parsed.problems.length} invalid layer(s) of the palette were skipped, see the Code Highlighter output`);
+    }
+    await applyPalette(Object.assign({ name: path.basename(fileUri.fsPath, '.json') }, parsed.palette));
+}
+
+/**
+ * Handler for the 'exportPalette' command
+ * Writes the layers in use, from the workspace palette or the settings, as a palette file
+ */
+async function exportPaletteCommandHandler() {
+    const stores = getAllHighlightStores();
+    const workspacePalette = getWorkspacePalette();
+    const name = workspacePalette && workspacePalette.palette.name ? workspacePalette.palette.name : 'Code Highlighter palette';
+    const defaultFolderUri = stores.length > 0 ? stores[0].folder.uri : vscode.Uri.file(os.homedir());
+
+    const targetUri = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.joinPath(defaultFolderUri, `${slugifyLayerName(name)}.palette.json`),
+        filters: { Palette: ['json'] }
+    });
+    if (!targetUri) return;
+
+    try {
+        const content = JSON.stringify(colorsToPalette(name, getAvailableColors()), null, 2);
+        await vscode.workspace.fs.writeFile(targetUri, Buffer.from(content, 'utf8'));
+        vscode.window.showInformationMessage(`Palette "${name}" exported to ${targetUri.fsPath}`);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Error exporting palette: ${error.message}`);
+    }
+}
+
+/**
+ * Handler for the 'removeWorkspacePalette' command
+ * Stops sharing the palette of highlights.json, everyone goes back to their own settings
+ */
+function removeWorkspacePaletteCommandHandler() {
+    const workspacePalette = getWorkspacePalette();
+    if (!workspacePalette) {
+        vscode.window.showInformationMessage('No workspace palette is shared in highlights.json');
+        return;
+    }
+    setWorkspacePalette(workspacePalette.store, null);
+}
+
+/**
+ * Uses a palette for the whole workspace or in the user settings, as the user chooses
+ * @param {{name: string, layers: Object[]}} palette - Palette in the highlights.json format
+ */
+async function applyPalette(palette) {
+    const targets = [];
+    if (getAllHighlightStores().length > 0) {
+        targets.push({
+            label: '$(organization) Workspace palette',
+            description: 'Saved in highlights.json and shared with the team',
+            target: 'workspace'
+        });
+    }
+    targets.push({
+        label: '$(account) User settings',
+        description: 'Replaces codeHighlighter.customColors',
+        target: 'user'
+    });
+
+    const selected = await vscode.window.showQuickPick(targets, { placeHolder: `Use the "${palette.name}" palette for` });
+    if (!selected) return;
+
+    if (selected.target === 'workspace') {
+        setWorkspacePalette(getPaletteStore(), palette);
+        return;
+    }
+
+    try {
+        await vscode.workspace.getConfiguration('codeHighlighter')
+            .update('customColors', paletteToColors(palette), vscode.ConfigurationTarget.Global);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Error saving the palette in settings: ${error.message}`);
+        return;
+    }
+    if (getWorkspacePalette()) {
+        vscode.window.showWarningMessage(`Palette "${palette.name}" saved in your settings, but the palette in highlights.json still wins in this workspace`);
+    } else {
+        vscode.window.showInformationMessage(`Palette "${palette.name}" saved in your settings`);
+    }
+}
+
+/**
+ * Shares a palette in the highlights.json of a workspace folder, or stops sharing it
+ * @param {Object} store - Highlights store whose highlights.json gets the palette
+ * @param {{name?: string, layers: Object[]}|null} palette - Palette, or null to remove it
+ */
+function setWorkspacePalette(store, palette) {
+    if (store.hasErrors) {
+        vscode.window.showErrorMessage(`Fix the errors in highlights.json of "${store.folder.name}" before changing its palette`);
+        return;
+    }
+
+    const before = captureHighlightSnapshot([], [store]);
+    const data = Object.assign({}, store.lastSyncedHighlights);
+    if (palette) {
+        data.palette = palette;
+    } else {
+        delete data.palette;
+    }
+    store.lastSyncedHighlights = data;
+    syncWorkspacePalette();
     saveHighlights();
+
+    const entry = pushHighlightHistory(palette ? `Share palette "${palette.name}"` : 'Remove workspace palette', before);
+    showUndoableMessage(palette
+        ? `Palette "${palette.name}" shared in highlights.json of "${store.folder.name}"`
+        : 'Workspace palette removed, layers come from your settings again', entry);
+}
+
+/**
+ * Gets the palette shared in highlights.json
+ * In a multi-root workspace the first folder with a palette wins
+ * @returns {{store: Object, palette: {name?: string, layers: Object[]}}|null} Palette and its store, or null if no folder shares one
+ */
+function getWorkspacePalette() {
+    for (const store of getAllHighlightStores()) {
+        if (store.lastSyncedHighlights && store.lastSyncedHighlights.palette) {
+            return { store, palette: store.lastSyncedHighlights.palette };
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the store a new workspace palette is saved in: the one already sharing a palette,
+ * otherwise the folder of the active editor or the first folder
+ * @returns {Object} Highlights store
+ */
+function getPaletteStore() {
+    const workspacePalette = getWorkspacePalette();
+    if (workspacePalette) return workspacePalette.store;
+
+    const editor = vscode.window.activeTextEditor;
+    return (editor && getHighlightStoreForUri(editor.document.uri.toString())) || getAllHighlightStores()[0];
+}
+
+/**
+ * Re-renders the layers if the palette shared in highlights.json changed
+ * Called whenever highlights.json is loaded, synced or changed by a command
+ */
+function syncWorkspacePalette() {
+    const workspacePalette = getWorkspacePalette();
+    const content = workspacePalette ? stableStringify(workspacePalette.palette) : null;
+    if (content === workspacePaletteContent) return;
+
+    workspacePaletteContent = content;
+    refreshLayers();
+}
+
+/**
+ * Converts a palette into layers in the codeHighlighter.customColors format
+ * @param {{layers: Array<{id?: string, name: string, description?: string, color: string}>}} palette - Palette
+ * @returns {Array<{id: string, name: string, description: string, value: string}>} Layers with unique ids
+ */
+function paletteToColors(palette) {
+    return assignLayerIds(palette.layers.map(layer => ({
+        id: layer.id,
+        name: layer.name,
+        description: layer.description || '',
+        value: layer.color
+    })));
+}
+
+/**
+ * Converts layers in the codeHighlighter.customColors format into a palette
+ * @param {string} name - Palette name
+ * @param {Array<{id: string, name: string, description?: string, value: string}>} colors - Layers
+ * @returns {{name: string, layers: Object[]}} Palette in the highlights.json format
+ */
+function colorsToPalette(name, colors) {
+    return {
+        name,
+        layers: colors.map(color => {
+            const layer = { id: color.id, name: color.name };
+            if (color.description) {
+                layer.description = color.description;
+            }
+            layer.color = color.value;
+            return layer;
+        })
+    };
+}
+
+// ============================================================================
+// HISTORY FUNCTIONS
+// ============================================================================
+
+/**
+ * Restores the undo/redo history saved in workspaceState
+ */
+function loadHighlightHistory() {
+    const state = context.workspaceState.get(HIGHLIGHT_HISTORY_STATE_KEY, {});
+    highlightHistory = {
+        undo: Array.isArray(state.undo) ? state.undo : [],
+        redo: Array.isArray(state.redo) ? state.redo : []
+    };
+    updateHistoryContext();
+}
+
+/**
+ * Persists the undo/redo history and updates the context keys of the undo and redo commands
+ */
+function saveHighlightHistory() {
+    context.workspaceState.update(HIGHLIGHT_HISTORY_STATE_KEY, highlightHistory);
+    updateHistoryContext();
+}
+
+/**
+ * Sets the context keys telling whether there is something to undo or redo
+ */
+function updateHistoryContext() {
+    vscode.commands.executeCommand('setContext', 'codeHighlighter.canUndo', highlightHistory.undo.length > 0);
+    vscode.commands.executeCommand('setContext', 'codeHighlighter.canRedo', highlightHistory.redo.length > 0);
+}
+
+/**
+ * Captures the highlights of some files, to be restored by undo or redo
+ * @param {string[]} uris - URIs of the documents about to change
+ * @param {Object[]} [stores] - Highlights stores whose rules are also captured, e.g. before deleting highlights.json
+ * @returns {Object} Snapshot in the highlights.json structure
+ */
+function captureHighlightSnapshot(uris, stores) {
+    const snapshot = { files: {} };
+    uris.forEach(uri => {
+        const layerMap = highlightDecorations.get(uri);
+        snapshot.files[uri] = layerMap && layerMap.size > 0 ? serializeFileHighlights(uri, layerMap) : null;
+    });
+    if (stores) {
+        snapshot.rules = {};
+        stores.forEach(store => {
+            const folderRules = {};
+            HAND_EDITED_FIELDS.forEach(field => {
+                const value = store.lastSyncedHighlights && store.lastSyncedHighlights[field];
+                if (value !== undefined) folderRules[field] = value;
+            });
+            snapshot.rules[store.folder.uri.toString()] = folderRules;
+        });
+    }
+    return snapshot;
+}
+
+/**
+ * Records a change in the undo history, comparing the captured snapshot with the current highlights
+ * Nothing is recorded if the highlights did not change
+ * @param {string} label - Description of the change, e.g. 'Clear file highlights'
+ * @param {Object} before - Snapshot captured before the change
+ * @returns {Object|null} History entry, or null if nothing changed
+ */
+function pushHighlightHistory(label, before) {
+    const stores = before.rules
+        ? Object.keys(before.rules).map(folderUri => highlightStores.get(folderUri)).filter(store => store)
+        : undefined;
+    const after = captureHighlightSnapshot(Object.keys(before.files), stores);
+    if (stableStringify(before) === stableStringify(after)) return null;
+
+    const entry = { id: crypto.randomBytes(8).toString('hex'), label, before, after };
+    highlightHistory.undo.push(entry);
+    if (highlightHistory.undo.length > HIGHLIGHT_HISTORY_MAX_ENTRIES) {
+        highlightHistory.undo.shift();
+    }
+    highlightHistory.redo = [];
+    saveHighlightHistory();
+    return entry;
+}
+
+/**
+ * Shows an information message with an Undo button for a destructive change
+ * @param {string} message - Message to show
+ * @param {Object|null} entry - History entry of the change
+ */
+function showUndoableMessage(message, entry) {
+    if (!entry) {
+        vscode.window.showInformationMessage(message);
+        return;
+    }
+    vscode.window.showInformationMessage(message, 'Undo').then(choice => {
+        if (choice === 'Undo') {
+            undoHighlightChange(entry.id);
+        }
+    });
+}
+
+/**
+ * Handler for the 'undoHighlightChange' command
+ * Restores the highlights of the files changed by the last change
+ * @param {string} [entryId] - Id of the change to undo; it must be the last one, e.g. from an Undo button
+ */
+function undoHighlightChange(entryId) {
+    const entry = highlightHistory.undo[highlightHistory.undo.length - 1];
+    if (!entry) {
+        vscode.window.showInformationMessage('Nothing to undo');
+        return;
+    }
+    if (entryId && entry.id !== entryId) {
+        // Already undone, e.g. with the command before clicking the button
+        if (highlightHistory.redo.some(redoEntry => redoEntry.id === entryId)) return;
+        vscode.window.showWarningMessage('This change cannot be undone directly because highlights changed after it. Use "Undo highlight change" to step back.');
+        return;
+    }
+
+    highlightHistory.undo.pop();
+    restoreHighlightSnapshot(entry.before);
+    highlightHistory.redo.push(entry);
+    saveHighlightHistory();
+    vscode.window.setStatusBarMessage(`$(discard) Undone: ${entry.label}`, 3000);
+}
+
+/**
+ * Handler for the 'redoHighlightChange' command
+ * Applies again the last undone change
+ */
+function redoHighlightChange() {
+    const entry = highlightHistory.redo.pop();
+    if (!entry) {
+        vscode.window.showInformationMessage('Nothing to redo');
+        return;
+    }
+
+    restoreHighlightSnapshot(entry.after);
+    highlightHistory.undo.push(entry);
+    saveHighlightHistory();
+    vscode.window.setStatusBarMessage(`$(redo) Redone: ${entry.label}`, 3000);
+}
+
+/**
+ * Replaces the highlights of the files of a snapshot and saves them
+ * Ranges are re-anchored in case the files were edited since the snapshot
+ * @param {Object} snapshot - Snapshot from captureHighlightSnapshot
+ */
+function restoreHighlightSnapshot(snapshot) {
+    Object.keys(snapshot.files).forEach(uri => {
+        const fileData = snapshot.files[uri];
+        if (fileData) {
+            const fileText = readCurrentFileText(uri, vscode.Uri.parse(uri).fsPath);
+            highlightDecorations.set(uri, deserializeFileHighlights(fileData, fileText).layerMap);
+        } else {
+            highlightDecorations.delete(uri);
+        }
+        refreshEditorsForUri(uri);
+        saveHighlights(uri);
+    });
+
+    // Rules and the palette live only in highlights.json, write them back with the next save
+    Object.keys(snapshot.rules || {}).forEach(folderUri => {
+        const store = highlightStores.get(folderUri);
+        if (!store) return;
+        const base = Object.assign({}, store.lastSyncedHighlights);
+        HAND_EDITED_FIELDS.forEach(field => {
+            if (snapshot.rules[folderUri][field]) {
+                base[field] = snapshot.rules[folderUri][field];
+            } else {
+                delete base[field];
+            }
+        });
+        store.lastSyncedHighlights = base;
+    });
+    if (snapshot.rules) {
+        syncWorkspacePalette();
+        saveHighlights();
+    }
+
+    notifyHighlightsChanged();
+}
+
+// ============================================================================
+// NAVIGATION FUNCTIONS
+// ============================================================================
+
+/**
+ * Moves the cursor to the next or previous highlight of the current file, wrapping around
+ * Orphaned highlights and hidden layers are skipped
+ * @param {number} direction - 1 for the next highlight, -1 for the previous one
+ * @param {{layer?: string}} [args] - Optional layer id or name to navigate, e.g. from a keybinding
+ */
+function goToAdjacentHighlight(direction, args) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return;
+
+    let layerId = null;
+    if (args && typeof args.layer === 'string') {
+        layerId = resolveRuleLayerId(args.layer);
+        if (!layerId) {
+            vscode.window.showWarningMessage(`Unknown code highlight layer: ${args.layer}`);
+            return;
+        }
+    }
+
+    const uri = editor.document.uri.toString();
+    const ranges = getAllHighlightEntries()
+        .filter(entry =>
+            entry.uri === uri &&
+            !entry.decoration.orphaned &&
+            isLayerVisible(entry.layerId) &&
+            (!layerId || entry.layerId === layerId)
+        )
+        .map(entry => entry.decoration.range);
+
+    const range = findAdjacentRange(ranges, editor.selection.active, direction);
+    if (!range) {
+        vscode.window.setStatusBarMessage(layerId
+            ? `No ${getLayer(layerId).name} highlights in this file`
+            : 'No code highlights in this file', 3000);
+        return;
+    }
+
+    editor.selection = new vscode.Selection(range.start, range.start);
+    editor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+}
+
+/**
+ * Moves to the next or previous highlight of the layer under the cursor
+ * Asks for the layer when the cursor is not inside a highlight
+ * @param {number} direction - 1 for the next highlight, -1 for the previous one
+ */
+async function goToAdjacentHighlightInLayer(direction) {
+    const entries = getHighlightsAtCursor();
+    let layerId;
+    if (entries.length > 0) {
+        layerId = entries[entries.length - 1].layerId;
+    } else {
+        const selectedLayer = await vscode.window.showQuickPick(getLayerQuickPickItems(), {
+            placeHolder: 'Select the layer to navigate'
+        });
+        if (!selectedLayer) return;
+        layerId = selectedLayer.layerId;
+    }
+    goToAdjacentHighlight(direction, { layer: layerId });
+}
+
+/**
+ * Finds the range starting right after or right before a position, wrapping around
+ * @param {vscode.Range[]} ranges - Ranges in any order
+ * @param {vscode.Position} position - Current position
+ * @param {number} direction - 1 to search forward, -1 to search backward
+ * @returns {vscode.Range|undefined} Adjacent range, or undefined if there are no ranges
+ */
+function findAdjacentRange(ranges, position, direction) {
+    if (ranges.length === 0) return undefined;
+
+    const sorted = ranges.slice().sort((a, b) => a.start.compareTo(b.start));
+    if (direction > 0) {
+        return sorted.find(range => range.start.isAfter(position)) || sorted[0];
+    }
+    const before = sorted.filter(range => range.start.isBefore(position));
+    return before.length > 0 ? before[before.length - 1] : sorted[sorted.length - 1];
+}
+
+// ============================================================================
+// SYMBOL FUNCTIONS
+// ============================================================================
+
+/**
+ * Handler for the 'highlightSymbol' command
+ * Highlights the function, class or method enclosing the cursor
+ */
+async function highlightSymbolCommandHandler() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return;
+
+    const symbols = await getDocumentSymbols(editor.document);
+    if (!symbols) {
+        vscode.window.showWarningMessage('No symbols found: this language has no outline support');
+        return;
+    }
+
+    // Innermost symbol first, e.g. the method before its class
+    const position = editor.selection.active;
+    const enclosingSymbols = symbols
+        .filter(symbol => HIGHLIGHTABLE_SYMBOL_KINDS.includes(symbol.kind) && symbol.range.contains(position))
+        .sort((a, b) => b.path.length - a.path.length);
+    if (enclosingSymbols.length === 0) {
+        vscode.window.showInformationMessage('No function, class or method at the cursor');
+        return;
+    }
+
+    let symbol = enclosingSymbols[0];
+    if (enclosingSymbols.length > 1) {
+        const selectedItem = await vscode.window.showQuickPick(
+            enclosingSymbols.map(candidate => getSymbolQuickPickItem(candidate)),
+            { placeHolder: 'Select the symbol to highlight' }
+        );
+        if (!selectedItem) return;
+        symbol = selectedItem.symbol;
+    }
+
+    const selectedLayer = await vscode.window.showQuickPick(getLayerQuickPickItems(), {
+        placeHolder: `Select a color to highlight ${symbol.name}`
+    });
+    if (!selectedLayer) return;
+
+    addSymbolHighlights(editor, [symbol], selectedLayer.layerId);
+}
+
+/**
+ * Handler for the 'highlightSymbols' command
+ * Highlights several symbols picked from the outline of the current file
+ */
+async function highlightSymbolsCommandHandler() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return;
+
+    const symbols = await getDocumentSymbols(editor.document);
+    const highlightableSymbols = (symbols || []).filter(symbol => HIGHLIGHTABLE_SYMBOL_KINDS.includes(symbol.kind));
+    if (highlightableSymbols.length === 0) {
+        vscode.window.showWarningMessage('No functions, classes or methods found in this file');
+        return;
+    }
+
+    const selectedItems = await vscode.window.showQuickPick(
+        highlightableSymbols.map(symbol => getSymbolQuickPickItem(symbol)),
+        { placeHolder: 'Select the symbols to highlight', canPickMany: true, matchOnDescription: true }
+    );
+    if (!selectedItems || selectedItems.length === 0) return;
+
+    const selectedLayer = await vscode.window.showQuickPick(getLayerQuickPickItems(), {
+        placeHolder: `Select a color to highlight ${selectedItems.length} symbol(s)`
+    });
+    if (!selectedLayer) return;
+
+    addSymbolHighlights(editor, selectedItems.map(item => item.symbol), selectedLayer.layerId);
+}
+
+/**
+ * Builds the quick pick item of a symbol
+ * @param {{name: string, kind: string, range: vscode.Range, path: string[]}} symbol - Flattened symbol
+ * @returns {Object} Quick pick item
+ */
+function getSymbolQuickPickItem(symbol) {
+    return {
+        label: `$(symbol-${symbol.kind.toLowerCase()}) ${symbol.name}`,
+        description: symbol.path.slice(0, -1).join('.'),
+        detail: `${symbol.kind}, lines ${symbol.range.start.line + 1}-${symbol.range.end.line + 1}`,
+        symbol
+    };
+}
+
+/**
+ * Highlights symbols, tying each highlight to its symbol
+ * Symbols already highlighted with the same layer are skipped
+ * @param {vscode.TextEditor} editor - Editor of the symbols
+ * @param {Object[]} symbols - Flattened symbols
+ * @param {string} layerId - Layer id
+ */
+function addSymbolHighlights(editor, symbols, layerId) {
+    const uri = editor.document.uri.toString();
+    const layerMap = highlightDecorations.get(uri);
+    const existing = (layerMap && layerMap.get(layerId)) || [];
+    const before = captureHighlightSnapshot([uri]);
+
+    symbols.forEach(symbol => {
+        const isHighlighted = existing.some(decoration =>
+            decoration.symbol && decoration.symbol.path.join('.') === symbol.path.join('.')
+        );
+        if (isHighlighted) return;
+        addHighlight(editor, symbol.range, layerId, { symbol: { path: symbol.path, kind: symbol.kind } });
+    });
+    pushHighlightHistory('Highlight symbols', before);
+}
+
+/**
+ * Gets the symbols of a document from its language's document symbol provider
+ * @param {vscode.TextDocument} document - Document
+ * @returns {Promise<Object[]|null>} Flattened symbols, or null if the language has no provider
+ */
+async function getDocumentSymbols(document) {
+    try {
+        const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri);
+        return Array.isArray(symbols) ? flattenDocumentSymbols(symbols) : null;
+    } catch (error) {
+        console.error('Error getting document symbols:', error);
+        return null;
+    }
+}
+
+/**
+ * Flattens the result of a document symbol provider
+ * Providers return either a DocumentSymbol tree or flat SymbolInformation
+ * @param {Array<vscode.DocumentSymbol|vscode.SymbolInformation>} symbols - Provider result
+ * @returns {Array<{name: string, kind: string, range: vscode.Range, path: string[]}>} Symbols with their container path
+ */
+function flattenDocumentSymbols(symbols) {
+    const flattened = [];
+    const visit = (symbol, containerPath) => {
+        const isSymbolInformation = !!symbol.location;
+        const symbolPath = isSymbolInformation
+            ? (symbol.containerName ? [symbol.containerName, symbol.name] : [symbol.name])
+            : containerPath.concat(symbol.name);
+        flattened.push({
+            name: symbol.name,
+            kind: vscode.SymbolKind[symbol.kind],
+            range: isSymbolInformation ? symbol.location.range : symbol.range,
+            path: symbolPath
+        });
+        (symbol.children || []).forEach(child => visit(child, symbolPath));
+    };
+    symbols.forEach(symbol => visit(symbol, []));
+    return flattened;
+}
+
+/**
+ * Finds the current symbol of a symbol highlight
+ * Prefers the same path; if the symbol moved to another container, the closest symbol with the same name and kind
+ * @param {Object[]} symbols - Flattened symbols
+ * @param {{path: string[], kind: string}} symbolRef - Symbol the highlight follows
+ * @param {vscode.Range} range - Current range of the highlight
+ * @returns {Object|undefined} Symbol, or undefined if it is gone (or was renamed)
+ */
+function findHighlightSymbol(symbols, symbolRef, range) {
+    const name = symbolRef.path[symbolRef.path.length - 1];
+    const candidates = symbols.filter(symbol => symbol.name === name && symbol.kind === symbolRef.kind);
+    const samePath = candidates.find(symbol => symbol.path.join('.') === symbolRef.path.join('.'));
+    if (samePath) return samePath;
+
+    return candidates.sort((a, b) =>
+        Math.abs(a.range.start.line - range.start.line) - Math.abs(b.range.start.line - range.start.line)
+    )[0];
+}
+
+/**
+ * Re-anchors the symbol highlights of a document shortly after the last edit
+ * @param {vscode.TextDocument} document - Document
+ */
+function scheduleSymbolResync(document) {
+    const uri = document.uri.toString();
+    const layerMap = highlightDecorations.get(uri);
+    const hasSymbolHighlights = !!layerMap && Array.from(layerMap.values())
+        .some(decorations => decorations.some(decoration => decoration.symbol));
+    if (!hasSymbolHighlights) return;
+
+    clearTimeout(symbolResyncTimers.get(uri));
+    symbolResyncTimers.set(uri, setTimeout(() => {
+        symbolResyncTimers.delete(uri);
+        resyncSymbolHighlights(document);
+    }, SYMBOL_RESYNC_DELAY));
+}
+
+/**
+ * Moves every symbol highlight of a document to the current range of its symbol
+ * Highlights whose symbol is gone keep their tracked range; orphaned ones are recovered if their symbol is found
+ * @param {vscode.TextDocument} document - Document
+ */
+async function resyncSymbolHighlights(document) {
+    if (document.isClosed) return;
+    const version = document.version;
+    const symbols = await getDocumentSymbols(document);
+    // A newer edit scheduled another resync
+    if (!symbols || document.version !== version) return;
+
+    const uri = document.uri.toString();
+    const layerMap = highlightDecorations.get(uri);
+    if (!layerMap) return;
+
+    let hasChanged = false;
+    layerMap.forEach(decorations => {
+        decorations.forEach(decoration => {
+            if (!decoration.symbol) return;
+            const symbol = findHighlightSymbol(symbols, decoration.symbol, decoration.range);
+            if (!symbol) return;
+
+            if (!symbol.range.isEqual(decoration.range) || decoration.orphaned) {
+                decoration.range = symbol.range;
+                decoration.orphaned = false;
+                hasChanged = true;
+            }
+            if (symbol.path.join('.') !== decoration.symbol.path.join('.')) {
+                decoration.symbol = { path: symbol.path, kind: symbol.kind };
+                hasChanged = true;
+            }
+        });
+    });
+
+    if (hasChanged) {
+        refreshEditorsForUri(uri);
+        saveHighlights(uri);
+        notifyHighlightsChanged();
+    }
+}
+
+// ============================================================================
+// LAYER RULE FUNCTIONS
+// ============================================================================
+
+/**
+ * Handler for the 'applyRules' command
+ * Previews the highlights the layer rules would add and remove, then applies them
+ * to the current file or the whole workspace. Only highlights added by rules are replaced
+ */
+async function applyRulesCommandHandler() {
+    const editor = vscode.window.activeTextEditor;
+    const scopes = [{ label: '$(root-folder) Whole workspace', scope: 'workspace' }];
+    if (editor) {
+        scopes.unshift({
+            label: '$(file) Current file',
+            description: vscode.workspace.asRelativePath(editor.document.uri),
+            scope: 'file'
+        });
+    }
+    const selectedScope = await vscode.window.showQuickPick(scopes, { placeHolder: 'Apply layer rules to' });
+    if (!selectedScope) return;
+
+    const plan = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Evaluating layer rules'
+    }, () => planLayerRules(selectedScope.scope === 'file' ? editor.document : null));
+    if (!plan) return;
+
+    if (plan.truncatedFolders.length > 0) {
+        vscode.window.showWarningMessage(
+            `Only the first ${RULES_MAX_FILES} files matching a rule were evaluated in ${plan.truncatedFolders.map(name => `"${name}"`).join(', ')}. ` +
+            'Give the rules a narrower glob to evaluate the rest'
+        );
+    }
+
+    const added = plan.files.reduce((sum, file) => sum + file.added.length, 0);
+    const removed = plan.files.reduce((sum, file) => sum + file.removed.length, 0);
+    if (added === 0 && removed === 0) {
+        vscode.window.showInformationMessage(plan.ruleCount === 0
+            ? 'No layer rules configured. Add them to the codeHighlighter.rules setting or the "rules" of highlights.json.'
+            : 'Layer rules are up to date, nothing to change');
+        return;
+    }
+
+    const preview = await vscode.workspace.openTextDocument({ language: 'markdown', content: renderLayerRulesPreview(plan) });
+    await vscode.window.showTextDocument(preview, { preview: true });
+
+    const choice = await vscode.window.showInformationMessage(
+        `Layer rules would add ${added} and remove ${removed} automatic highlight(s) in ${plan.files.length} file(s)`,
+        'Apply',
+        'Cancel'
+    );
+    if (choice !== 'Apply') return;
+
+    const before = captureHighlightSnapshot(plan.files.map(file => file.uri));
+    plan.files.forEach(file => applyLayerRulePlan(file));
+    notifyHighlightsChanged();
+    pushHighlightHistory('Apply layer rules', before);
+    vscode.window.showInformationMessage(`Layer rules applied: ${added} added, ${removed} removed`);
+}
+
+/**
+ * Gets the layer rules of a workspace folder: the ones in settings followed by the ones in highlights.json
+ * Invalid rules are reported in the output channel and skipped
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder
+ * @returns {Object[]} Valid rules, each with a display name
+ */
+function getLayerRules(folder) {
+    const store = getHighlightStore(folder);
+    const sources = [
+        { label: 'settings', rules: vscode.workspace.getConfiguration('codeHighlighter', folder.uri).get('rules', []) },
+        { label: 'highlights.json', rules: (store.lastSyncedHighlights && store.lastSyncedHighlights.rules) || [] }
+    ];
+
+    const rules = [];
+    sources.forEach(source => {
+        if (!Array.isArray(source.rules)) return;
+        source.rules.forEach((rule, index) => {
+            const problem = validateLayerRule(rule);
+            if (problem) {
+                getOutputChannel().appendLine(`${folder.name}: layer rule ${index + 1} of ${source.label} skipped: ${problem}`);
+                return;
+            }
+            const layerId = resolveRuleLayerId(rule.layer);
+            if (!layerId) {
+                getOutputChannel().appendLine(`${folder.name}: layer rule ${index + 1} of ${source.label} skipped: unknown layer "${rule.layer}"`);
+                return;
+            }
+            rules.push(Object.assign({}, rule, {
+                layerId,
+                displayName: rule.name || `${source.label} rule ${index + 1}`
+            }));
+        });
+    });
+    return rules;
+}
+
+/**
+ * Resolves the layer of a rule, given as a layer id or a layer name
+ * @param {string} layer - Layer id or name
+ * @returns {string|null} Layer id, or null if no layer matches
+ */
+function resolveRuleLayerId(layer) {
+    const layers = getKnownLayers();
+    const byId = layers.find(candidate => candidate.id === layer);
+    if (byId) return byId.id;
+    const byName = layers.find(candidate => candidate.name.toLowerCase() === layer.toLowerCase());
+    return byName ? byName.id : null;
+}
+
+/**
+ * Checks whether a rule applies to a document, by glob and language
+ * @param {Object} rule - Layer rule
+ * @param {vscode.TextDocument} document - Document
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder of the document
+ * @returns {boolean} True if the rule applies
+ */
+function isRuleApplicable(rule, document, folder) {
+    const pattern = new vscode.RelativePattern(folder, rule.glob || '**/*');
+    const selector = rule.languages
+        ? rule.languages.map(language => ({ language, pattern }))
+        : [{ pattern }];
+    return vscode.languages.match(selector, document) > 0;
+}
+
+/**
+ * Computes what the layer rules would change in one file or in the whole workspace
+ * In the whole workspace, files are read from disk instead of opened, and rules limited
+ * to some languages only look at the files those languages claim
+ * @param {vscode.TextDocument|null} document - Document to evaluate, or null for the whole workspace
+ * @returns {Promise<{ruleCount: number, files: Object[], truncatedFolders: string[]}>}
+ *   Planned changes per file, and the folders where a rule matched more than RULES_MAX_FILES files
+ */
+async function planLayerRules(document) {
+    const folders = document
+        ? [vscode.workspace.getWorkspaceFolder(document.uri)].filter(folder => folder)
+        : (vscode.workspace.workspaceFolders || []);
+    if (folders.length === 0) {
+        vscode.window.showWarningMessage('Layer rules only apply to files inside a workspace folder');
+        return null;
+    }
+
+    const plan = { ruleCount: 0, files: [], truncatedFolders: [] };
+    const addFilePlan = filePlan => {
+        if (filePlan.added.length > 0 || filePlan.removed.length > 0) {
+            plan.files.push(filePlan);
+        }
+    };
+
+    for (const folder of folders) {
+        const rules = getLayerRules(folder);
+        plan.ruleCount += rules.length;
+
+        if (document) {
+            addFilePlan(planLayerRulesForDocument(document, rules.filter(rule => isRuleApplicable(rule, document, folder))));
+            continue;
+        }
+
+        // Candidate files with the rules whose search found them
+        const candidates = new Map();
+        const addCandidate = fileUri => {
+            const uri = fileUri.toString();
+            if (!candidates.has(uri)) {
+                candidates.set(uri, { fileUri, rules: [] });
+            }
+            return candidates.get(uri);
+        };
+
+        const associations = getLanguageFileAssociations();
+        const searches = new Map();
+        let truncated = false;
+        for (const rule of rules) {
+            const glob = getRuleSearchGlob(rule, associations);
+            if (!glob) {
+                getOutputChannel().appendLine(`${folder.name}: ${rule.displayName} skipped: no file extensions known for ${rule.languages.join(', ')}`);
+                continue;
+            }
+            if (!searches.has(glob)) {
+                const found = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, glob), RULES_EXCLUDE_GLOB, RULES_MAX_FILES);
+                truncated = truncated || found.length >= RULES_MAX_FILES;
+                searches.set(glob, found);
+            }
+            searches.get(glob).forEach(fileUri => addCandidate(fileUri).rules.push(rule));
+        }
+        if (truncated) {
+            plan.truncatedFolders.push(folder.name);
+        }
+
+        // Every file with automatic highlights is re-evaluated, so stale ones are removed
+        getAllHighlightEntries()
+            .filter(entry => entry.decoration.auto && isUriInStore(entry.uri, getHighlightStore(folder)))
+            .forEach(entry => addCandidate(vscode.Uri.parse(entry.uri)));
+
+        for (const candidate of candidates.values()) {
+            const openDocument = findOpenDocument(candidate.fileUri.toString());
+            let target = openDocument;
+            if (!target) {
+                const text = await readCurrentFileTextAsync(candidate.fileUri);
+                // Binary or unreadable files cannot be highlighted
+                if (text === null || text.includes('\u0000')) continue;
+                target = createTextSnapshot(candidate.fileUri, text);
+            }
+
+            const languageIds = openDocument
+                ? [openDocument.languageId]
+                : getPathLanguageIds(candidate.fileUri.fsPath, associations);
+            const applicableRules = candidate.rules.filter(rule =>
+                !rule.languages || rule.languages.some(language => languageIds.includes(language))
+            );
+            addFilePlan(planLayerRulesForDocument(target, applicableRules));
+        }
+    }
+    return plan;
+}
+
+/**
+ * Gets the glob that finds the files a rule can apply to
+ * A rule limited to some languages without a glob looks at the files of those languages only
+ * @param {Object} rule - Layer rule
+ * @param {Map<string, {extensions: Set<string>, filenames: Set<string>}>} associations - Files claimed by each language
+ * @returns {string|null} Glob relative to the workspace folder, or null if no file extension is known for its languages
+ */
+function getRuleSearchGlob(rule, associations) {
+    if (rule.glob || !rule.languages) {
+        return rule.glob || '**/*';
+    }
+
+    const patterns = new Set();
+    rule.languages.forEach(language => {
+        const association = associations.get(language);
+        if (!association) return;
+        association.extensions.forEach(extension => patterns.add(`*${extension}`));
+        association.filenames.forEach(filename => patterns.add(filename));
+    });
+    return patterns.size > 0 ? `**/{${Array.from(patterns).join(',')}}` : null;
+}
+
+/**
+ * Gets the file extensions and file names of each language, as contributed by the installed
+ * extensions plus the simple patterns ("*.ext" and file names) of the files.associations setting
+ * @returns {Map<string, {extensions: Set<string>, filenames: Set<string>}>} Files claimed by each language id
+ */
+function getLanguageFileAssociations() {
+    const associations = new Map();
+    const getAssociation = language => {
+        if (!associations.has(language)) {
+            associations.set(language, { extensions: new Set(), filenames: new Set() });
+        }
+        return associations.get(language);
+    };
+
+    vscode.extensions.all.forEach(extension => {
+        const contributes = extension.packageJSON && extension.packageJSON.contributes;
+        const languages = contributes && Array.isArray(contributes.languages) ? contributes.languages : [];
+        languages.forEach(language => {
+            if (!language || typeof language.id !== 'string') return;
+            const association = getAssociation(language.id);
+            (Array.isArray(language.extensions) ? language.extensions : [])
+                .filter(fileExtension => typeof fileExtension === 'string')
+                .forEach(fileExtension => association.extensions.add(fileExtension.toLowerCase()));
+            (Array.isArray(language.filenames) ? language.filenames : [])
+                .filter(filename => typeof filename === 'string')
+                .forEach(filename => association.filenames.add(filename));
+        });
+    });
+
+    const fileAssociations = vscode.workspace.getConfiguration('files').get('associations', {}) || {};
+    Object.keys(fileAssociations).forEach(pattern => {
+        const language = fileAssociations[pattern];
+        if (typeof language !== 'string') return;
+        if (/^\*\.[^*?/\\[\]{}]+$/.test(pattern)) {
+            getAssociation(language).extensions.add(pattern.substring(1).toLowerCase());
+        } else if (/^[^*?/\\[\]{}]+$/.test(pattern)) {
+            getAssociation(language).filenames.add(pattern);
+        }
+    });
+    return associations;
+}
+
+/**
+ * Gets the languages that claim a file by its extension or name
+ * @param {string} filePath - Path of the file
+ * @param {Map<string, {extensions: Set<string>, filenames: Set<string>}>} associations - Files claimed by each language
+ * @returns {string[]} Language ids
+ */
+function getPathLanguageIds(filePath, associations) {
+    const fileName = path.basename(filePath);
+    const lowerCaseName = fileName.toLowerCase();
+    const languageIds = [];
+    associations.forEach((association, language) => {
+        const claimsFile = association.filenames.has(fileName) ||
+            Array.from(association.extensions).some(extension => lowerCaseName.endsWith(extension));
+        if (claimsFile) languageIds.push(language);
+    });
+    return languageIds;
+}
+
+/**
+ * Wraps the text of a file that is not open in the minimal document interface the rules need
+ * @param {vscode.Uri} fileUri - File URI
+ * @param {string} text - File text
+ * @returns {{uri: vscode.Uri, getText: function(): string, positionAt: function(number): vscode.Position}} Document-like snapshot
+ */
+function createTextSnapshot(fileUri, text) {
+    const lineOffsets = getLineOffsets(text);
+    return {
+        uri: fileUri,
+        getText: () => text,
+        positionAt: offset => {
+            const position = offsetToPosition(lineOffsets, offset);
+            return new vscode.Position(position.line, position.character);
+        }
+    };
+}
+
+/**
+ * Computes the automatic highlights of a document and diffs them with the current ones
+ * Automatic highlights that would be recreated unchanged are kept, so their notes survive
+ * @param {vscode.TextDocument|Object} document - Document, or a snapshot from createTextSnapshot
+ * @param {Object[]} rules - Rules applying to the document
+ * @returns {{uri: string, document: vscode.TextDocument|Object, added: Object[], removed: Object[]}} Planned changes
+ */
+function planLayerRulesForDocument(document, rules) {
+    const uri = document.uri.toString();
+    const text = document.getText();
+    const layerMap = highlightDecorations.get(uri) || new Map();
+    const rangeKey = (layerId, range) => `${layerId}|${range.start.line}:${range.start.character}-${range.end.line}:${range.end.character}`;
+
+    const existing = new Map();
+    layerMap.forEach((decorations, layerId) => {
+        decorations.forEach(decoration => {
+            existing.set(rangeKey(layerId, decoration.range), decoration);
+        });
+    });
+
+    const wanted = new Map();
+    rules.forEach(rule => {
+        computeRuleMatches(text, rule).forEach(match => {
+            const range = new vscode.Range(document.positionAt(match.startOffset), document.positionAt(match.endOffset));
+            const key = rangeKey(rule.layerId, range);
+            if (!wanted.has(key)) {
+                wanted.set(key, { layerId: rule.layerId, range, rule: rule.displayName });
+            }
+        });
+    });
+
+    const added = [];
+    wanted.forEach((highlight, key) => {
+        // Manual highlights and unchanged automatic ones are left alone
+        if (!existing.has(key)) added.push(highlight);
+    });
+
+    const removed = [];
+    layerMap.forEach((decorations, layerId) => {
+        decorations.forEach(decoration => {
+            if (decoration.auto && !wanted.has(rangeKey(layerId, decoration.range))) {
+                removed.push({ layerId, decoration });
+            }
+        });
+    });
+
+    return { uri, document, added, removed };
+}
+
+/**
+ * Finds the code a rule highlights in a text
+ * Rules without a pattern highlight the whole file; pattern matches are extended
+ * to their line or to the block they open, depending on the rule's "extend"
+ * @param {string} text - File text
+ * @param {Object} rule - Layer rule
+ * @returns {Array<{startOffset: number, endOffset: number}>} Highlighted ranges
+ */
+function computeRuleMatches(text, rule) {
+    if (!rule.pattern) {
+        return text.length > 0 ? [{ startOffset: 0, endOffset: text.length }] : [];
+    }
+
+    const flags = (rule.flags || '').replace(/g/g, '') + 'g';
+    const regex = new RegExp(rule.pattern, flags);
+    const extend = rule.extend || 'block';
+    const matches = [];
+    let match;
+
+    while ((match = regex.exec(text)) !== null && matches.length < RULES_MAX_MATCHES_PER_FILE) {
+        if (match[0].length === 0) {
+            // Avoid looping forever on empty matches
+            regex.lastIndex++;
+            continue;
+        }
+
+        const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+        const lineEndIndex = text.indexOf('\n', match.index + match[0].length - 1);
+        const lineEnd = lineEndIndex === -1 ? text.length : lineEndIndex;
+
+        if (extend === 'match') {
+            matches.push({ startOffset: match.index, endOffset: match.index + match[0].length });
+        } else if (extend === 'line') {
+            matches.push({ startOffset: lineStart, endOffset: lineEnd });
+        } else {
+            matches.push({ startOffset: lineStart, endOffset: findBlockEnd(text, lineStart, lineEnd) });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Finds the end of the block opened on a line
+ * Uses the matching closing brace if the line opens one, otherwise the lines indented deeper
+ * @param {string} text - File text
+ * @param {number} lineStart - Offset of the start of the line
+ * @param {number} lineEnd - Offset of the end of the line
+ * @returns {number} Offset of the end of the block
+ */
+function findBlockEnd(text, lineStart, lineEnd) {
+    const openBrace = text.indexOf('{', lineStart);
+    const nextLineEnd = text.indexOf('\n', lineEnd + 1);
+    // The brace may be on the next line (Allman style)
+    const braceSearchEnd = nextLineEnd === -1 ? text.length : nextLineEnd;
+    if (openBrace !== -1 && openBrace < braceSearchEnd) {
+        let depth = 0;
+        for (let i = openBrace; i < text.length; i++) {
+            if (text[i] === '{') depth++;
+            if (text[i] === '}') {
+                depth--;
+                if (depth === 0) return i + 1;
+            }
+        }
+        return text.length;
+    }
+
+    // Indentation-based block (Python, YAML...)
+    const indentOf = line => line.match(/^\s*/)[0].length;
+    const baseIndent = indentOf(text.substring(lineStart, lineEnd));
+    let blockEnd = lineEnd;
+    let position = lineEnd + 1;
+    while (position < text.length) {
+        const nextEnd = text.indexOf('\n', position);
+        const end = nextEnd === -1 ? text.length : nextEnd;
+        const line = text.substring(position, end);
+        if (line.trim().length > 0) {
+            if (indentOf(line) <= baseIndent) break;
+            blockEnd = end;
+        }
+        position = end + 1;
+    }
+    return blockEnd;
+}
+
+/**
+ * Applies the planned rule changes of one file
+ * @param {{uri: string, added: Object[], removed: Object[]}} filePlan - Planned changes
+ */
+function applyLayerRulePlan(filePlan) {
+    if (!highlightDecorations.has(filePlan.uri)) {
+        highlightDecorations.set(filePlan.uri, new Map());
+    }
+    const layerMap = highlightDecorations.get(filePlan.uri);
+
+    filePlan.removed.forEach(({ layerId, decoration }) => {
+        const decorations = layerMap.get(layerId) || [];
+        const index = decorations.indexOf(decoration);
+        if (index !== -1) decorations.splice(index, 1);
+        if (decorations.length === 0) layerMap.delete(layerId);
+    });
+
+    const now = new Date().toISOString();
+    filePlan.added.forEach(highlight => {
+        if (!layerMap.has(highlight.layerId)) {
+            layerMap.set(highlight.layerId, []);
+        }
+        layerMap.get(highlight.layerId).push({ range: highlight.range, auto: true, createdAt: now, updatedAt: now });
+    });
+
+    if (layerMap.size === 0) {
+        highlightDecorations.delete(filePlan.uri);
+    }
+    refreshEditorsForUri(filePlan.uri);
+    saveHighlights(filePlan.uri);
+}
+
+/**
+ * Renders the planned rule changes as Markdown
+ * @param {{files: Object[]}} plan - Planned changes
+ * @returns {string} Markdown document
+ */
+function renderLayerRulesPreview(plan) {
+    const lines = ['# Layer Rules Preview', ''];
+    plan.files.forEach(file => {
+        lines.push(`## ${vscode.workspace.asRelativePath(file.document.uri)}`, '');
+        file.added.forEach(highlight => {
+            lines.push(`- **+** ${getLayer(highlight.layerId).name}, lines ${highlight.range.start.line + 1}-${highlight.range.end.line + 1} (${highlight.rule})`);
+        });
+        file.removed.forEach(({ layerId, decoration }) => {
+            lines.push(`- **−** ${getLayer(layerId).name}, lines ${decoration.range.start.line + 1}-${decoration.range.end.line + 1}`);
+        });
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+// ============================================================================
+// DEPENDENCY RULE FUNCTIONS
+// ============================================================================
+
+/**
+ * Handler for the 'checkDependencies' command
+ * Checks the layer dependency rules right away and shows the violations in the Problems panel
+ */
+async function checkDependenciesCommandHandler() {
+    if (dependencyCheckTimer) {
+        clearTimeout(dependencyCheckTimer);
+        dependencyCheckTimer = null;
+    }
+
+    const result = await checkLayerDependencies(true);
+    if (result.ruleCount === 0) {
+        vscode.window.showInformationMessage('No layer dependency rules configured. Add them to the codeHighlighter.dependencyRules setting or the "dependencyRules" of highlights.json.');
+        return;
+    }
+    if (result.violationCount === 0) {
+        vscode.window.showInformationMessage('No layer dependency violations found');
+        return;
+    }
+    vscode.commands.executeCommand('workbench.actions.view.problems');
+    vscode.window.showWarningMessage(`${result.violationCount} layer dependency violation(s) found`);
+}
+
+/**
+ * Schedules a debounced check of the layer dependency rules
+ */
+function scheduleDependencyCheck() {
+    if (dependencyCheckTimer) {
+        clearTimeout(dependencyCheckTimer);
+    }
+    dependencyCheckTimer = setTimeout(() => {
+        dependencyCheckTimer = null;
+        checkLayerDependencies(false);
+    }, DEPENDENCY_CHECK_DELAY);
+}
+
+/**
+ * Checks the imports and calls inside every highlight against the layer dependency rules
+ * and publishes the violations as diagnostics
+ * The results are dropped if another check started while this one was reading files
+ * @param {boolean} reportProblems - True to report invalid rules in the output channel
+ * @returns {Promise<{ruleCount: number, violationCount: number}>} Number of rules and of violations found
+ */
+async function checkLayerDependencies(reportProblems) {
+    const generation = ++dependencyCheckGeneration;
+    if (!dependencyDiagnostics) return { ruleCount: 0, violationCount: 0 };
+
+    const rulesByFolder = new Map();
+    let ruleCount = 0;
+    getAllHighlightStores().forEach(store => {
+        const rules = getDependencyRules(store.folder, reportProblems);
+        rulesByFolder.set(store.folder.uri.toString(), rules);
+        ruleCount += rules.length;
+    });
+    const violationsByUri = new Map();
+    let violationCount = 0;
+    if (ruleCount > 0) {
+        const index = await buildDependencyIndex();
+        index.files.forEach(file => {
+            const store = getHighlightStoreForUri(file.uri);
+            const rules = store ? rulesByFolder.get(store.folder.uri.toString()) : null;
+            if (!rules || rules.length === 0) return;
+
+            const violations = findDependencyViolations(file, index, rules);
+            if (violations.length === 0) return;
+            violationsByUri.set(file.uri, violations);
+            violationCount += violations.length;
+        });
+    }
+
+    if (generation === dependencyCheckGeneration && dependencyDiagnostics) {
+        dependencyViolations = violationsByUri;
+        dependencyDiagnostics.clear();
+        violationsByUri.forEach((violations, uri) => {
+            dependencyDiagnostics.set(vscode.Uri.parse(uri), violations.map(violation => violation.diagnostic));
+        });
+    }
+    return { ruleCount, violationCount };
+}
+
+/**
+ * Gets the layer dependency rules of a workspace folder: the ones in settings followed by the ones in highlights.json
+ * Layers are resolved to ids; invalid rules and unknown layers are skipped
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder
+ * @param {boolean} reportProblems - True to report skipped rules and layers in the output channel
+ * @returns {Object[]} Valid rules with fromLayerId and allowLayerIds or disallowLayerIds
+ */
+function getDependencyRules(folder, reportProblems) {
+    const store = getHighlightStore(folder);
+    const sources = [
+        { label: 'settings', rules: vscode.workspace.getConfiguration('codeHighlighter', folder.uri).get('dependencyRules', []) },
+        { label: 'highlights.json', rules: (store.lastSyncedHighlights && store.lastSyncedHighlights.dependencyRules) || [] }
+    ];
+    const report = message => {
+        if (reportProblems) getOutputChannel().appendLine(`${folder.name}: ${message}`);
+    };
+
+    const rules = [];
+    sources.forEach(source => {
+        if (!Array.isArray(source.rules)) return;
+        source.rules.forEach((rule, index) => {
+            const location = `dependency rule ${index + 1} of ${source.label}`;
+            const problem = validateDependencyRule(rule);
+            if (problem) {
+                report(`${location} skipped: ${problem}`);
+                return;
+            }
+            const fromLayerId = resolveRuleLayerId(rule.from);
+            if (!fromLayerId) {
+                report(`${location} skipped: unknown layer "${rule.from}"`);
+                return;
+            }
+
+            const resolveLayers = layers => layers
+                .map(layer => {
+                    const layerId = resolveRuleLayerId(layer);
+                    if (!layerId) report(`${location}: unknown layer "${layer}" ignored`);
+                    return layerId;
+                })
+                .filter(layerId => layerId);
+            rules.push(Object.assign({}, rule, {
+                fromLayerId,
+                allowLayerIds: rule.allow ? resolveLayers(rule.allow) : null,
+                disallowLayerIds: rule.disallow ? resolveLayers(rule.disallow) : null
+            }));
+        });
+    });
+    return rules;
+}
+
+/**
+ * Finds the first rule forbidding a layer to depend on another one
+ * A layer may always depend on itself
+ * @param {Object[]} rules - Resolved dependency rules
+ * @param {string} fromLayerId - Layer with the dependency
+ * @param {string} toLayerId - Layer it depends on
+ * @returns {Object|null} Violated rule, or null if the dependency is allowed
+ */
+function findViolatedDependencyRule(rules, fromLayerId, toLayerId) {
+    if (fromLayerId === toLayerId) return null;
+    return rules.find(rule =>
+        rule.fromLayerId === fromLayerId &&
+        (rule.disallowLayerIds ? rule.disallowLayerIds.includes(toLayerId) : !rule.allowLayerIds.includes(toLayerId))
+    ) || null;
+}
+
+/**
+ * Reads every file with highlights and indexes its highlights, its imports and the names each highlight declares
+ * Closed files are read asynchronously, so large workspaces do not block the editor
+ * @returns {Promise<{files: Map<string, Object>, declarations: Map<string, Object[]>}>} Files by URI and the highlights declaring each name
+ */
+async function buildDependencyIndex() {
+    const files = new Map();
+    const declarations = new Map();
+
+    for (const [uri, layerMap] of Array.from(highlightDecorations.entries())) {
+        const text = await readCurrentFileTextAsync(vscode.Uri.parse(uri));
+        if (text === null) continue;
+        const code = maskCommentsAndStrings(text);
+        const lineOffsets = getLineOffsets(text);
+
+        const highlights = [];
+        layerMap.forEach((decorations, layerId) => {
+            decorations.forEach(decoration => {
+                if (decoration.orphaned) return;
+                const startOffset = positionToOffset(lineOffsets, decoration.range.start.line, decoration.range.start.character);
+                const endOffset = positionToOffset(lineOffsets, decoration.range.end.line, decoration.range.end.character);
+                const names = getDeclaredNames(code.substring(startOffset, endOffset));
+                if (decoration.symbol) {
+                    names.add(decoration.symbol.path[decoration.symbol.path.length - 1]);
+                }
+
+                const highlight = { uri, layerId, decoration, startOffset, endOffset, names };
+                highlights.push(highlight);
+                names.forEach(name => {
+                    if (!declarations.has(name)) declarations.set(name, []);
+                    declarations.get(name).push(highlight);
+                });
+            });
+        });
+
+        files.set(uri, { uri, text, code, lineOffsets, highlights, imports: parseImports(text, code) });
+    }
+
+    return { files, declarations };
+}
+
+/**
+ * Finds the dependencies of the highlights of a file that break a rule
+ * A highlight depends on a layer when it contains an import of a file highlighted with that layer,
+ * uses a name imported from such a file, or calls a function or class declared only in that layer
+ * @param {Object} file - Indexed file
+ * @param {{files: Map<string, Object>, declarations: Map<string, Object[]>}} index - Dependency index
+ * @param {Object[]} rules - Dependency rules of the file's workspace folder
+ * @returns {Object[]} Violations with their diagnostic and the source and target highlight nodes
+ */
+function findDependencyViolations(file, index, rules) {
+    const violations = [];
+    const reported = new Set();
+    const importedNames = new Set();
+    file.imports.forEach(statement => statement.bindings.forEach(binding => importedNames.add(binding.local)));
+
+    const addViolation = (source, target, offset, length, description) => {
+        const rule = findViolatedDependencyRule(rules, source.layerId, target.layerId);
+        if (!rule) return;
+        // One diagnostic per highlight, layer and dependency
+        const key = `${source.startOffset}|${target.layerId}|${description}`;
+        if (reported.has(key)) return;
+        reported.add(key);
+
+        const start = offsetToPosition(file.lineOffsets, offset);
+        const end = offsetToPosition(file.lineOffsets, offset + length);
+        const fromName = getLayer(source.layerId).name;
+        const toName = getLayer(target.layerId).name;
+        const diagnostic = new vscode.Diagnostic(
+            new vscode.Range(start.line, start.character, end.line, end.character),
+            `${rule.message || `${fromName} must not depend on ${toName}`}: ${description}`,
+            DEPENDENCY_SEVERITIES[rule.severity || 'warning']
+        );
+        diagnostic.source = 'Code Highlighter';
+        diagnostic.code = 'layer-dependency';
+        diagnostic.relatedInformation = [
+            new vscode.DiagnosticRelatedInformation(
+                new vscode.Location(vscode.Uri.parse(target.uri), target.decoration.range),
+                `${toName} highlight`
+            )
+        ];
+        violations.push({
+            diagnostic,
+            source: { type: 'highlight', uri: source.uri, layerId: source.layerId, decoration: source.decoration },
+            target: { type: 'highlight', uri: target.uri, layerId: target.layerId, decoration: target.decoration }
+        });
+    };
+
+    file.highlights.forEach(source => {
+        // Imports of highlighted files
+        file.imports.forEach(statement => {
+            const targetFile = resolveImportTarget(file.uri, statement.specifier, index.files);
+            if (!targetFile || targetFile === file) return;
+
+            // Named imports point at the highlights declaring them, anything else at the whole file
+            const getTargets = imported => {
+                const declaring = imported ? targetFile.highlights.filter(highlight => highlight.names.has(imported)) : [];
+                return declaring.length > 0 ? declaring : targetFile.highlights;
+            };
+
+            if (statement.startOffset >= source.startOffset && statement.endOffset <= source.endOffset) {
+                const targets = statement.bindings.length > 0
+                    ? [].concat(...statement.bindings.map(binding => getTargets(binding.imported)))
+                    : targetFile.highlights;
+                targets.forEach(target => addViolation(
+                    source, target, statement.startOffset, statement.endOffset - statement.startOffset, `imports ${statement.specifier}`
+                ));
+                return;
+            }
+
+            statement.bindings.forEach(binding => {
+                const offset = findIdentifier(file.code, binding.local, source.startOffset, source.endOffset);
+                if (offset === -1) return;
+                getTargets(binding.imported).forEach(target => addViolation(
+                    source, target, offset, binding.local.length, `uses ${binding.local} from ${statement.specifier}`
+                ));
+            });
+        });
+
+        // Calls of functions and classes declared in exactly one other layer
+        const callPattern = /([A-Za-z_$][\w$]*)\s*\(/g;
+        callPattern.lastIndex = source.startOffset;
+        let match;
+        while ((match = callPattern.exec(file.code)) && match.index < source.endOffset) {
+            const name = match[1];
+            if (DEPENDENCY_IGNORED_NAMES.has(name) || source.names.has(name) || importedNames.has(name)) continue;
+
+            const declaring = index.declarations.get(name);
+            if (!declaring) continue;
+            const layerIds = new Set(declaring.map(highlight => highlight.layerId));
+            if (layerIds.size !== 1 || layerIds.has(source.layerId)) continue;
+
+            addViolation(source, declaring[0], match.index, name.length, `calls ${name}`);
+        }
+    });
+
+    return violations;
+}
+
+/**
+ * Parses the import, export-from and require statements of a file
+ * Statements inside comments and strings are ignored
+ * @param {string} text - File text
+ * @param {string} code - File text with comments and strings masked by maskCommentsAndStrings
+ * @returns {Array<{specifier: string, startOffset: number, endOffset: number, bindings: Array<{local: string, imported: string|null}>}>} Statements
+ *   imported is the name exported by the module, or null for default and namespace imports
+ */
+function parseImports(text, code) {
+    const patterns = [
+        { regex: /\bimport\s+(?:type\s+)?([\w$*{}\s,]+?)\s+from\s*(['"])([^'"\n]+)\2/g, clause: 1, specifier: 3 },
+        { regex: /\bexport\s+[\w$*{}\s,]+?\s+from\s*(['"])([^'"\n]+)\1/g, specifier: 2 },
+        { regex: /\bimport\s*\(?\s*(['"])([^'"\n]+)\1/g, specifier: 2 },
+        { regex: /(?:\b(?:const|let|var)\s+([\w$]+|\{[^}]*\})\s*=\s*)?\brequire\s*\(\s*(['"])([^'"\n]+)\2\s*\)/g, clause: 1, specifier: 3 }
+    ];
+
+    const statements = [];
+    patterns.forEach(pattern => {
+        let match;
+        while ((match = pattern.regex.exec(text))) {
+            // Skip matches starting inside a comment or a string
+            if (code[match.index] !== text[match.index]) continue;
+            statements.push({
+                specifier: match[pattern.specifier],
+                startOffset: match.index,
+                endOffset: match.index + match[0].length,
+                bindings: pattern.clause && match[pattern.clause] ? parseImportBindings(match[pattern.clause]) : []
+            });
+        }
+    });
+    return statements;
+}
+
+/**
+ * Parses the names bound by an import clause or a require destructuring
+ * @param {string} clause - e.g. 'Default, { a, b as c }', '* as ns', '{ a, b: c }' or 'name'
+ * @returns {Array<{local: string, imported: string|null}>} Bound names
+ */
+function parseImportBindings(clause) {
+    const bindings = [];
+    const named = clause.match(/\{([^}]*)\}/);
+    if (named) {
+        named[1].split(',').forEach(part => {
+            const binding = part.trim().match(/^(?:type\s+)?([\w$]+)(?:\s*(?:\bas\b|:)\s*([\w$]+))?$/);
+            if (binding) {
+                bindings.push({ local: binding[2] || binding[1], imported: binding[1] });
+            }
+        });
+    }
+
+    const rest = clause.replace(/\{[^}]*\}/, '');
+    const namespace = rest.match(/\*\s*as\s+([\w$]+)/);
+    if (namespace) {
+        bindings.push({ local: namespace[1], imported: null });
+    }
+    rest.replace(/\*\s*as\s+[\w$]+/, '')
+        .split(',')
+        .map(part => part.trim())
+        .filter(part => /^[\w$]+$/.test(part))
+        .forEach(local => bindings.push({ local, imported: null }));
+    return bindings;
+}
+
+/**
+ * Resolves a relative import to an indexed file with highlights
+ * Package imports are ignored
+ * @param {string} fromUri - URI of the importing file
+ * @param {string} specifier - Imported module, e.g. '../data/users'
+ * @param {Map<string, Object>} files - Indexed files by URI
+ * @returns {Object|null} Indexed file, or null if the import is not a highlighted file
+ */
+function resolveImportTarget(fromUri, specifier, files) {
+    if (!specifier.startsWith('.')) return null;
+
+    const basePath = path.resolve(path.dirname(vscode.Uri.parse(fromUri).fsPath), specifier);
+    const candidates = [basePath]
+        .concat(DEPENDENCY_MODULE_EXTENSIONS.map(extension => basePath + extension))
+        .concat(DEPENDENCY_MODULE_EXTENSIONS.map(extension => path.join(basePath, `index${extension}`)));
+    for (const candidate of candidates) {
+        const file = files.get(vscode.Uri.file(candidate).toString());
+        if (file) return file;
+    }
+    return null;
+}
+
+/**
+ * Gets the names of the functions, classes and methods declared in some code
+ * @param {string} code - Code with comments and strings masked
+ * @returns {Set<string>} Declared names
+ */
+function getDeclaredNames(code) {
+    const patterns = [
+        /\b(?:function\*?|class|interface|enum|def)\s+([A-Za-z_$][\w$]*)/g,
+        /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|class\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/g,
+        /^\s*(?:(?:async|static|public|private|protected|get|set)\s+)*([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*(?::[^{;]*)?\{/gm
+    ];
+
+    const names = new Set();
+    patterns.forEach(pattern => {
+        let match;
+        while ((match = pattern.exec(code))) {
+            if (!DEPENDENCY_IGNORED_NAMES.has(match[1])) names.add(match[1]);
+        }
+    });
+    return names;
+}
+
+/**
+ * Finds the first use of an identifier in part of some code, ignoring property accesses like obj.name
+ * @param {string} code - Code with comments and strings masked
+ * @param {string} name - Identifier
+ * @param {number} startOffset - Start of the part to search
+ * @param {number} endOffset - End of the part to search
+ * @returns {number} Offset of the identifier, or -1 if it is not used
+ */
+function findIdentifier(code, name, startOffset, endOffset) {
+    const pattern = new RegExp(`(?<![\\w$.])${name.replace(/\$/g, '\\$')}(?![\\w$])`, 'g');
+    pattern.lastIndex = startOffset;
+    const match = pattern.exec(code);
+    return match && match.index + name.length <= endOffset ? match.index : -1;
+}
+
+/**
+ * Replaces comments and string literals with spaces, keeping offsets and line breaks
+ * @param {string} text - Source code
+ * @returns {string} Code without comments and strings
+ */
+function maskCommentsAndStrings(text) {
+    return text.replace(
+        /\/\*[\s\S]*?\*\/|\/\/[^\n]*|'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\[\s\S]|[^`\\])*`/g,
+        match => match.replace(/[^\n]/g, ' ')
+    );
+}
+
+/**
+ * Provides the quick fixes of layer dependency violations
+ * Jump to the highlight with the dependency, to the highlight it depends on, or move the code to another layer
+ */
+class DependencyCodeActionProvider {
+    /**
+     * Gets the quick fixes for the dependency diagnostics of a range
+     * @param {vscode.TextDocument} document - Document
+     * @param {vscode.Range} range - Range of the request
+     * @param {vscode.CodeActionContext} codeActionContext - Diagnostics of the range
+     * @returns {vscode.CodeAction[]} Quick fixes
+     */
+    provideCodeActions(document, range, codeActionContext) {
+        const violations = dependencyViolations.get(document.uri.toString()) || [];
+        const actions = [];
+
+        codeActionContext.diagnostics
+            .filter(diagnostic => diagnostic.source === 'Code Highlighter' && diagnostic.code === 'layer-dependency')
+            .forEach(diagnostic => {
+                const violation = violations.find(candidate =>
+                    candidate.diagnostic.range.isEqual(diagnostic.range) && candidate.diagnostic.message === diagnostic.message
+                );
+                if (!violation) return;
+
+                const sourceName = getLayer(violation.source.layerId).name;
+                const targetName = getLayer(violation.target.layerId).name;
+                const fixes = [
+                    { title: `Go to the ${sourceName} highlight`, command: 'code-highlighter.revealHighlight', node: violation.source },
+                    { title: `Go to the ${targetName} highlight it depends on`, command: 'code-highlighter.revealHighlight', node: violation.target },
+                    { title: `Move this ${sourceName} highlight to another layer...`, command: 'code-highlighter.recolorHighlight', node: violation.source }
+                ];
+                fixes.forEach((fix, index) => {
+                    const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+                    action.command = { command: fix.command, title: fix.title, arguments: [fix.node] };
+                    action.diagnostics = [diagnostic];
+                    action.isPreferred = index === 0;
+                    actions.push(action);
+                });
+            });
+        return actions;
+    }
+}
+
+// ============================================================================
+// HIGHLIGHT EXPLORER
+// ============================================================================
+
+/**
+ * Tree data provider listing every highlight grouped by layer and file
+ * Nodes are plain objects: { type: 'layer'|'file'|'highlight', uri, layerId, decoration }
+ */
+class HighlightExplorerProvider {
+    constructor() {
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+        this.groupBy = 'layer';
+    }
+
+    /**
+     * Refreshes the whole tree
+     */
+    refresh() {
+        this.changeEmitter.fire();
+    }
+
+    /**
+     * Gets the root nodes or the children of a node
+     * @param {Object} [element] - Parent node
+     * @returns {Object[]} Child nodes
+     */
+    getChildren(element) {
+        const entries = getAllHighlightEntries().filter(entry =>
+            (!element || !element.uri || entry.uri === element.uri) &&
+            (!element || !element.layerId || entry.layerId === element.layerId)
+        );
+
+        const firstLevel = this.groupBy === 'layer' ? 'layer' : 'file';
+        const secondLevel = this.groupBy === 'layer' ? 'file' : 'layer';
+        const childType = !element ? firstLevel : (element.type === firstLevel ? secondLevel : 'highlight');
+
+        if (childType === 'highlight') {
+            return entries
+                .sort((a, b) => a.decoration.range.start.compareTo(b.decoration.range.start))
+                .map(entry => ({ type: 'highlight', uri: entry.uri, layerId: entry.layerId, decoration: entry.decoration }));
+        }
+
+        const nodes = new Map();
+        entries.forEach(entry => {
+            const key = childType === 'layer' ? entry.layerId : entry.uri;
+            if (!nodes.has(key)) {
+                nodes.set(key, {
+                    type: childType,
+                    uri: childType === 'file' ? entry.uri : element && element.uri,
+                    layerId: childType === 'layer' ? entry.layerId : element && element.layerId,
+                    count: 0
+                });
+            }
+            nodes.get(key).count++;
+        });
+
+        return Array.from(nodes.values()).sort((a, b) =>
+            getExplorerNodeLabel(a).localeCompare(getExplorerNodeLabel(b))
+        );
+    }
+
+    /**
+     * Builds the tree item shown for a node
+     * @param {Object} element - Node
+     * @returns {vscode.TreeItem} Tree item
+     */
+    getTreeItem(element) {
+        const label = getExplorerNodeLabel(element);
+
+        if (element.type === 'layer') {
+            const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.Expanded);
+            const isVisible = isLayerVisible(element.layerId);
+            item.description = isVisible ? `${element.count}` : `${element.count} (hidden)`;
+            const layer = getLayer(element.layerId);
+            item.tooltip = layer.description ? `${layer.name}: ${layer.description}` : layer.name;
+            item.iconPath = isVisible ? getColorIconUri(layer.value) : new vscode.ThemeIcon('eye-closed');
+            item.contextValue = hiddenLayers.has(element.layerId) ? 'hiddenLayer' : 'layer';
+            return item;
+        }
+
+        if (element.type === 'file') {
+            const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.Expanded);
+            const uri = vscode.Uri.parse(element.uri);
+            item.resourceUri = uri;
+            item.description = `${element.count}`;
+            item.tooltip = uri.fsPath;
+            item.contextValue = 'file';
+            return item;
+        }
+
+        const decoration = element.decoration;
+        const range = decoration.range;
+        const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.None);
+        item.description = decoration.orphaned
+            ? 'orphaned'
+            : `Ln ${range.start.line + 1}-${range.end.line + 1}`;
+        if (decoration.auto) {
+            item.description += ' (auto)';
+        }
+        if (decoration.symbol) {
+            item.description += ` ${decoration.symbol.path.join('.')}`;
+        }
+        if (decoration.tags && decoration.tags.length > 0) {
+            item.description += ` ${decoration.tags.map(tag => `#${tag}`).join(' ')}`;
+        }
+        const layer = getLayer(element.layerId);
+        // Tree items have inline actions, the tooltip only needs the description
+        item.tooltip = buildHighlightDescription(layer, decoration);
+        item.iconPath = decoration.orphaned ? new vscode.ThemeIcon('warning') : getColorIconUri(layer.value);
+        item.contextValue = 'highlight';
+        item.command = {
+            command: 'code-highlighter.revealHighlight',
+            title: 'Reveal highlight',
+            arguments: [element]
+        };
+        return item;
+    }
+}
+
+/**
+ * Lists every highlight in memory as flat entries
+ * @returns {Array<{uri: string, layerId: string, decoration: Object}>} Highlight entries
+ */
+function getAllHighlightEntries() {
+    const entries = [];
+    highlightDecorations.forEach((layerMap, uri) => {
+        layerMap.forEach((decorations, layerId) => {
+            decorations.forEach(decoration => {
+                entries.push({ uri, layerId, decoration });
+            });
+        });
+    });
+    return entries;
+}
+
+/**
+ * Gets the label of a Highlight Explorer node
+ * @param {Object} element - Node
+ * @returns {string} Label
+ */
+function getExplorerNodeLabel(element) {
+    if (element.type === 'layer') {
+        return getLayer(element.layerId).name;
+    }
+    if (element.type === 'file') {
+        return vscode.workspace.asRelativePath(vscode.Uri.parse(element.uri));
+    }
+    return getHighlightPreview(element.uri, element.decoration);
+}
+
+/**
+ * Gets the first non-empty line of highlighted code
+ * Uses the open document if available, otherwise the saved anchor
+ * @param {string} uri - Document URI
+ * @param {Object} decoration - Highlight decoration
+ * @returns {string} Preview text
+ */
+function getHighlightPreview(uri, decoration) {
+    const document = findOpenDocument(uri);
+    let text = '';
+    if (document && !decoration.orphaned) {
+        text = document.getText(decoration.range);
+    } else if (decoration.anchor && decoration.anchor.head) {
+        text = decoration.anchor.head;
+    }
+
+    const firstLine = text.split(/\r?\n/).map(line => line.trim()).find(line => line.length > 0);
+    return firstLine || `Lines ${decoration.range.start.line + 1}-${decoration.range.end.line + 1}`;
+}
+
+/**
+ * Gets (and creates on first use) a small colored circle icon for a color
+ * @param {string} color - Hex color value
+ * @returns {vscode.Uri|vscode.ThemeIcon} Icon for tree items
+ */
+function getColorIconUri(color) {
+    if (!isValidColor(color) || !context.globalStorageUri) {
+        return new vscode.ThemeIcon('symbol-color');
+    }
+
+    const iconDirectory = path.join(context.globalStorageUri.fsPath, 'icons');
+    const iconPath = path.join(iconDirectory, `${color.substring(1)}.svg`);
+    if (!fs.existsSync(iconPath)) {
+        try {
+            fs.mkdirSync(iconDirectory, { recursive: true });
+            const fillColor = color.substring(0, 7);
+            const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><circle cx="8" cy="8" r="6" fill="${fillColor}" stroke="${getDarkerBorderColor(color)}" stroke-width="2"/></svg>`;
+            fs.writeFileSync(iconPath, svg, 'utf8');
+        } catch (error) {
+            console.error('Error creating color icon:', error);
+            return new vscode.ThemeIcon('symbol-color');
+        }
+    }
+    return vscode.Uri.file(iconPath);
+}
+
+/**
+ * Switches the Highlight Explorer grouping and remembers it for the workspace
+ * @param {'layer'|'file'} groupBy - Top level grouping
+ */
+function setExplorerGroupBy(groupBy) {
+    highlightExplorerProvider.groupBy = groupBy === 'file' ? 'file' : 'layer';
+    context.workspaceState.update('codeHighlighter.explorerGroupBy', highlightExplorerProvider.groupBy);
+    vscode.commands.executeCommand('setContext', 'codeHighlighter.explorerGroupBy', highlightExplorerProvider.groupBy);
+    highlightExplorerProvider.refresh();
+}
+
+/**
+ * Finds the live decoration list holding a Highlight Explorer node
+ * @param {Object} element - Highlight node
+ * @returns {{decorations: Object[], index: number}|null} Decoration list and index, or null if the highlight is gone
+ */
+function findHighlightNode(element) {
+    const layerMap = highlightDecorations.get(element.uri);
+    const decorations = layerMap && layerMap.get(element.layerId);
+    const index = decorations ? decorations.indexOf(element.decoration) : -1;
+    if (index === -1) {
+        vscode.window.showWarningMessage('This code highlight no longer exists');
+        return null;
+    }
+    return { decorations, index };
+}
+
+/**
+ * Handler for the 'revealHighlight' command
+ * Opens the document of a highlight and selects its range
+ * @param {Object} element - Highlight node
+ */
+async function revealHighlightCommandHandler(element) {
+    if (!element || !element.decoration) return;
+
+    try {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(element.uri));
+        const range = element.decoration.range;
+        await vscode.window.showTextDocument(document, {
+            selection: new vscode.Selection(range.start, range.end),
+            preserveFocus: false
+        });
+        if (element.decoration.orphaned) {
+            vscode.window.showWarningMessage('This code highlight is orphaned: its code could not be found, showing its saved position');
+        }
+    } catch (error) {
+        vscode.window.showErrorMessage(`Cannot open ${element.uri}: ${error.message}`);
+    }
+}
+
+/**
+ * Handler for the 'recolorHighlight' command
+ * Moves a single highlight to another layer
+ * @param {Object} [target] - Highlight node or hover link target
+ */
+async function recolorHighlightCommandHandler(target) {
+    const element = await resolveHighlightTarget(target);
+    if (!element) return;
+
+    const layerItems = getAvailableColors()
+        .filter(color => color.id !== element.layerId)
+        .map(color => ({
+            label: `$(symbol-color) ${color.name}`,
+            description: color.value,
+            detail: color.description,
+            layerId: color.id
+        }));
+
+    const selectedOption = await vscode.window.showQuickPick(layerItems, {
+        placeHolder: 'Select the new color for this code highlight'
+    });
+    if (!selectedOption) return;
+
+    const location = findHighlightNode(element);
+    if (!location) return;
+
+    const before = captureHighlightSnapshot([element.uri]);
+    const decoration = element.decoration;
+    location.decorations.splice(location.index, 1);
+
+    const layerMap = highlightDecorations.get(element.uri);
+    if (location.decorations.length === 0) {
+        layerMap.delete(element.layerId);
+    }
+    if (!layerMap.has(selectedOption.layerId)) {
+        layerMap.set(selectedOption.layerId, []);
+    }
+    layerMap.get(selectedOption.layerId).push(decoration);
+
+    touchHighlight(element);
+    pushHighlightHistory('Change highlight layer', before);
+}
+
+/**
+ * Handler for the 'removeHighlight' command
+ * Removes a single highlight
+ * @param {Object} [target] - Highlight node or hover link target
+ */
+async function removeHighlightCommandHandler(target) {
+    const element = await resolveHighlightTarget(target);
+    if (!element) return;
+
+    const location = findHighlightNode(element);
+    if (!location) return;
+
+    const before = captureHighlightSnapshot([element.uri]);
+    location.decorations.splice(location.index, 1);
+    const layerMap = highlightDecorations.get(element.uri);
+    if (location.decorations.length === 0) {
+        layerMap.delete(element.layerId);
+    }
+    if (layerMap.size === 0) {
+        highlightDecorations.delete(element.uri);
+    }
+
+    refreshEditorsForUri(element.uri);
+    saveHighlights(element.uri);
+    notifyHighlightsChanged();
+    showUndoableMessage('Code highlight removed', pushHighlightHistory('Remove highlight', before));
+}
+
+// ============================================================================
+// FILE DECORATIONS
+// ============================================================================
+
+/**
+ * File decoration provider showing the layers of each file as a badge and a tint
+ * in the Explorer and on editor tabs. Folders roll up the layers of their files.
+ * Every file of highlights.json is kept in highlightDecorations, so closed files are decorated too
+ */
+class HighlightFileDecorationProvider {
+    constructor() {
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeFileDecorations = this.changeEmitter.event;
+        this.index = null;
+    }
+
+    /**
+     * Drops the cached layer index and asks VS Code to decorate every file again
+     */
+    refresh() {
+        this.index = null;
+        this.changeEmitter.fire(undefined);
+    }
+
+    /**
+     * Gets the decoration of a file or folder
+     * @param {vscode.Uri} uri - File or folder
+     * @returns {vscode.FileDecoration|undefined} Decoration, or undefined if it has no highlights
+     */
+    provideFileDecoration(uri) {
+        const mode = vscode.workspace.getConfiguration('codeHighlighter').get('fileDecorations', 'dominant');
+        if (mode === 'off') return undefined;
+
+        if (!this.index) {
+            this.index = buildFileLayerIndex();
+        }
+        const layerLines = this.index.get(uri.toString());
+        if (!layerLines || layerLines.size === 0) return undefined;
+
+        const layers = Array.from(layerLines.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([layerId, lines]) => ({ layer: getLayer(layerId), lines }));
+        const totalLines = layers.reduce((sum, entry) => sum + entry.lines, 0);
+        const dominantLayer = layers[0].layer;
+
+        const decoration = new vscode.FileDecoration(
+            mode === 'all' && layers.length > 1 ? `${layers.length}` : getLayerBadge(dominantLayer.name),
+            layers.map(entry => `${entry.layer.name} ${Math.round(entry.lines * 100 / totalLines)}%`).join(' · '),
+            new vscode.ThemeColor(getFileDecorationColorId(dominantLayer.value))
+        );
+        decoration.propagate = false;
+        return decoration;
+    }
+}
+
+/**
+ * Indexes the highlighted lines per layer of every highlighted file and of its parent folders
+ * Orphaned highlights and hidden layers are left out
+ * @returns {Map<string, Map<string, number>>} Lines by layer id, by file or folder URI
+ */
+function buildFileLayerIndex() {
+    const index = new Map();
+    const addLines = (key, layerId, lines) => {
+        if (!index.has(key)) index.set(key, new Map());
+        const layerLines = index.get(key);
+        layerLines.set(layerId, (layerLines.get(layerId) || 0) + lines);
+    };
+
+    getAllHighlightEntries().forEach(({ uri, layerId, decoration }) => {
+        if (decoration.orphaned || !isLayerVisible(layerId)) return;
+
+        const lines = countHighlightLines({
+            startLine: decoration.range.start.line,
+            endLine: decoration.range.end.line,
+            endCharacter: decoration.range.end.character
+        });
+        const fileUri = vscode.Uri.parse(uri);
+        addLines(fileUri.toString(), layerId, lines);
+
+        // Roll up into every parent folder up to the workspace folder
+        const folder = vscode.workspace.getWorkspaceFolder(fileUri);
+        if (!folder) return;
+        let folderPath = path.posix.dirname(fileUri.path);
+        while (folderPath.length >= folder.uri.path.length && folderPath !== '/') {
+            addLines(fileUri.with({ path: folderPath }).toString(), layerId, lines);
+            folderPath = path.posix.dirname(folderPath);
+        }
+    });
+
+    return index;
+}
+
+/**
+ * Gets the badge of a layer: the initials of its name, e.g. 'Data Access' -> 'DA'
+ * File decoration badges hold at most two characters
+ * @param {string} name - Layer name
+ * @returns {string} Badge
+ */
+function getLayerBadge(name) {
+    const words = String(name).split(/[^A-Za-z0-9]+/).filter(word => word.length > 0);
+    if (words.length === 0) return '•';
+    const badge = words.length === 1 ? words[0].substring(0, 2) : words[0][0] + words[1][0];
+    return badge.toUpperCase();
+}
+
+/**
+ * Gets the contributed theme color closest to a layer color
+ * @param {string} color - Hex layer color
+ * @returns {string} Theme color id
+ */
+function getFileDecorationColorId(color) {
+    const toRgb = hex => [1, 3, 5].map(index => parseInt(hex.substring(index, index + 2), 16));
+    const target = toRgb(color);
+    let closest = FILE_DECORATION_COLORS[0];
+    let closestDistance = Infinity;
+    FILE_DECORATION_COLORS.forEach(candidate => {
+        const distance = toRgb(candidate.value).reduce((sum, channel, i) => sum + Math.pow(channel - target[i], 2), 0);
+        if (distance < closestDistance) {
+            closest = candidate;
+            closestDistance = distance;
+        }
+    });
+    return closest.id;
+}
+
+// ============================================================================
+// FILE SYSTEM FUNCTIONS
+// ============================================================================
+
+/**
+ * Finds an open text document by URI
+ * @param {string} uri - Document URI
+ * @returns {vscode.TextDocument|undefined} Open document, if any
+ */
+function findOpenDocument(uri) {
+    return vscode.workspace.textDocuments.find(document => document.uri.toString() === uri);
+}
+
+/**
+ * Reads the current text of a file, preferring the open document over the disk
+ * @param {string} uri - Document URI
+ * @param {string} absolutePath - Path of the file on disk
+ * @returns {string|null} File text or null if the file cannot be read
+ */
+function readCurrentFileText(uri, absolutePath) {
+    const document = findOpenDocument(uri);
+    if (document) return document.getText();
+
+    try {
+        return fs.readFileSync(absolutePath, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets the highlights store of a workspace folder, creating it on first use
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder
+ * @returns {Object} Highlights store
+ */
+function getHighlightStore(folder) {
+    const key = folder.uri.toString();
+    if (!highlightStores.has(key)) {
+        highlightStores.set(key, {
+            folder,
+            lastSyncedContent: null,
+            lastSyncedHighlights: { files: {} },
+            hasErrors: false,
+            dirtyFiles: new Set(),
+            isFullyDirty: false,
+            pendingWrite: Promise.resolve(),
+            watcher: null
+        });
+    }
+    return highlightStores.get(key);
+}
+
+/**
+ * Gets the highlights store of the workspace folder containing a document
+ * @param {string} uri - Document URI
+ * @returns {Object|null} Highlights store or null if the document is outside every workspace folder
+ */
+function getHighlightStoreForUri(uri) {
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.parse(uri));
+    return folder ? getHighlightStore(folder) : null;
+}
+
+/**
+ * Gets the highlights stores of every workspace folder
+ * @returns {Object[]} Highlights stores
+ */
+function getAllHighlightStores() {
+    return (vscode.workspace.workspaceFolders || []).map(folder => getHighlightStore(folder));
+}
+
+/**
+ * Gets the path to the highlights.json file of a workspace folder
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder
+ * @returns {string} Path to highlights file
+ */
+function getHighlightsFilePath(folder) {
+    return path.join(folder.uri.fsPath, 'highlights.json');
+}
+
+/**
+ * Checks whether a document belongs to a highlights store
+ * @param {string} uri - Document URI
+ * @param {Object} store - Highlights store
+ * @returns {boolean} True if the document is inside the store's workspace folder
+ */
+function isUriInStore(uri, store) {
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.parse(uri));
+    return !!folder && folder.uri.toString() === store.folder.uri.toString();
+}
+
+/**
+ * Serializes the in-memory highlights of a workspace folder into the highlights.json structure
+ * @param {Object} store - Highlights store of the folder
+ * @returns {{layers: Object, files: Object}} Highlights data
+ */
+function serializeHighlights(store) {
+    const highlightsData = { version: HIGHLIGHTS_SCHEMA_VERSION, layers: {}, files: {} };
+
+    highlightDecorations.forEach((layerMap, uri) => {
+        if (!isUriInStore(uri, store) || layerMap.size === 0) return;
+        highlightsData.files[getStoreRelativePath(store, uri)] = serializeFileHighlights(uri, layerMap);
+    });
+
+    highlightsData.layers = buildLayersTable(highlightsData.files);
+    // Rules and the palette are not part of the in-memory highlights, keep the ones last read from the file
+    HAND_EDITED_FIELDS.forEach(field => {
+        if (store.lastSyncedHighlights && store.lastSyncedHighlights[field] !== undefined) {
+            highlightsData[field] = store.lastSyncedHighlights[field];
+        }
+    });
+    return highlightsData;
+}
+
+/**
+ * Builds the layers table of highlights.json for the layers used by some files
+ * Name and description are only included if color metadata is enabled in settings
+ * @param {Object} files - Highlights by file and layer id
+ * @returns {Object} Layers by id
+ */
+function buildLayersTable(files) {
+    const config = vscode.workspace.getConfiguration('codeHighlighter');
+    const saveMetadata = config.get('saveColorMetadata', true);
+
+    const layers = {};
+    Object.keys(files).forEach(filePath => {
+        Object.keys(files[filePath]).forEach(layerId => {
+            if (layers[layerId]) return;
+
+            const layer = getLayer(layerId);
+            const layerData = { color: layer.value };
+            if (saveMetadata) {
+                layerData.name = layer.name;
+                if (layer.description) {
+                    layerData.description = layer.description;
+                }
+            }
+            layers[layerId] = layerData;
+        });
+    });
+    return layers;
+}
+
+/**
+ * Serializes the highlights of a single file
+ * @param {string} uri - Document URI
+ * @param {Map<string, Object[]>} layerMap - Highlights of the file by layer id
+ * @returns {Object} Highlights of the file in the highlights.json structure
+ */
+function serializeFileHighlights(uri, layerMap) {
+    const document = findOpenDocument(uri);
+    const documentText = document ? document.getText() : null;
+
+    const fileHighlights = {};
+    layerMap.forEach((decorations, layerId) => {
+        fileHighlights[layerId] = decorations.map(decoration => {
+            // Refresh the anchor from the open document, otherwise keep the loaded one
+            if (documentText !== null && !decoration.orphaned) {
+                decoration.anchor = createAnchor(
+                    documentText,
+                    document.offsetAt(decoration.range.start),
+                    document.offsetAt(decoration.range.end)
+                );
+            }
+            return toHighlightEntry(decoration);
+        });
+    });
+
+    return fileHighlights;
+}
+
+/**
+ * Builds the highlights.json data of a folder by re-serializing only its dirty files
+ * Every other file is taken unchanged from the last synced data
+ * @param {Object} store - Highlights store
+ * @returns {{layers: Object, files: Object}} Highlights data
+ */
+function serializeDirtyHighlights(store) {
+    const base = store.lastSyncedHighlights || { files: {} };
+    // Keys written with backslashes are rewritten with forward slashes, the way the dirty files are keyed
+    const files = {};
+    Object.keys(base.files).forEach(filePath => {
+        files[normalizeWorkspacePath(filePath)] = base.files[filePath];
+    });
+    const highlightsData = Object.assign({}, base, {
+        version: HIGHLIGHTS_SCHEMA_VERSION,
+        files
+    });
+
+    store.dirtyFiles.forEach(uri => {
+        const relativePath = getStoreRelativePath(store, uri);
+        const layerMap = highlightDecorations.get(uri);
+        if (layerMap && layerMap.size > 0) {
+            highlightsData.files[relativePath] = serializeFileHighlights(uri, layerMap);
+        } else {
+            delete highlightsData.files[relativePath];
+        }
+    });
+
+    highlightsData.layers = buildLayersTable(highlightsData.files);
+    return highlightsData;
+}
+
+/**
+ * Gets the path of a document relative to the workspace folder of a store
+ * @param {Object} store - Highlights store
+ * @param {string} uri - Document URI
+ * @returns {string} Relative path with forward slashes, used as key in highlights.json
+ */
+function getStoreRelativePath(store, uri) {
+    return normalizeWorkspacePath(path.relative(store.folder.uri.fsPath, vscode.Uri.parse(uri).fsPath));
+}
+
+/**
+ * Marks highlights as changed and schedules a debounced save
+ * Called after every change, so it never writes by itself
+ * @param {string} [uri] - Document whose highlights changed; all folders are saved in full if omitted
+ */
+function saveHighlights(uri) {
+    if (uri) {
+        const store = getHighlightStoreForUri(uri);
+        if (!store) return;
+        store.dirtyFiles.add(uri);
+    } else {
+        getAllHighlightStores().forEach(store => {
+            store.isFullyDirty = true;
+        });
+    }
+
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+    }
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        flushHighlights();
+    }, SAVE_DEBOUNCE_DELAY);
+}
+
+/**
+ * Writes every pending change right away
+ * @returns {Promise<void>} Promise that resolves when all folders are saved
+ */
+async function flushHighlights() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    await Promise.all(Array.from(highlightStores.values()).map(store => saveHighlightStore(store)));
+}
+
+/**
+ * Saves the pending changes of one workspace folder
+ * Writes of the same folder are queued so they never overlap
+ * @param {Object} store - Highlights store
+ * @returns {Promise<void>} Promise that resolves when the write is done
+ */
+function saveHighlightStore(store) {
+    store.pendingWrite = store.pendingWrite.then(() => writeHighlightStore(store));
+    return store.pendingWrite;
+}
+
+/**
+ * Writes the highlights.json file of one workspace folder
+ * The content goes to a temporary file that is then renamed into place, so a
+ * crash mid-write never leaves a truncated highlights.json.
+ * Skipped while the file has errors, so a hand edit in progress is never overwritten
+ * @param {Object} store - Highlights store
+ * @returns {Promise<void>} Promise that resolves when the file is written
+ */
+async function writeHighlightStore(store) {
+    if (store.hasErrors || (!store.isFullyDirty && store.dirtyFiles.size === 0)) return;
+
+    const highlightsData = store.isFullyDirty ? serializeHighlights(store) : serializeDirtyHighlights(store);
+    store.dirtyFiles.clear();
+    store.isFullyDirty = false;
+
+    const content = JSON.stringify(highlightsData, null, 2);
+    if (content === store.lastSyncedContent) return;
+
+    const highlightsFileUri = vscode.Uri.file(getHighlightsFilePath(store.folder));
+    const temporaryFileUri = vscode.Uri.file(`${highlightsFileUri.fsPath}.tmp`);
+
+    // Nothing to save in a folder that never had highlights
+    const isEmpty = Object.keys(highlightsData.files).length === 0 &&
+        HAND_EDITED_FIELDS.every(field => highlightsData[field] === undefined);
+    if (isEmpty && !(await fileExists(highlightsFileUri))) return;
+
+    // Remember the content before writing, so the watcher ignores our own change
+    const previousContent = store.lastSyncedContent;
+    const previousHighlights = store.lastSyncedHighlights;
+    store.lastSyncedContent = content;
+    store.lastSyncedHighlights = highlightsData;
+
+    try {
+        await vscode.workspace.fs.writeFile(temporaryFileUri, Buffer.from(content, 'utf8'));
+        await vscode.workspace.fs.rename(temporaryFileUri, highlightsFileUri, { overwrite: true });
+    } catch (error) {
+        store.lastSyncedContent = previousContent;
+        store.lastSyncedHighlights = previousHighlights;
+        // Retry everything on the next save
+        store.isFullyDirty = true;
+        console.error('Error saving highlights:', error);
+        vscode.window.showErrorMessage(`Error saving ${highlightsFileUri.fsPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Checks whether a file exists
+ * @param {vscode.Uri} uri - File URI
+ * @returns {Promise<boolean>} True if the file exists
+ */
+async function fileExists(uri) {
+    try {
+        await vscode.workspace.fs.stat(uri);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Reads, migrates and validates highlights.json
+ * Highlights keyed by color are migrated to the layers configured in settings
+ * @param {string} highlightsFilePath - Path to highlights.json
+ * @returns {{content: string|null, data: Object|null, problems: string[], migratedFrom: number|null}} Result of the core readHighlightsFile
+ * @throws {Error} If the file is not valid JSON, not an object, or written by a newer version
+ */
+function readHighlightsFile(highlightsFilePath) {
+    return highlightsCore.readHighlightsFile(highlightsFilePath, { layers: getAvailableColors() });
+}
+
+/**
+ * Reports skipped highlights.json entries and migrations
+ * Details go to the output channel, a summary is shown to the user
+ * @param {Object} store - Highlights store the file belongs to
+ * @param {{problems: string[], migratedFrom: number|null}} file - Result of readHighlightsFile
+ */
+async function reportHighlightsFileProblems(store, file) {
+    const highlightsFilePath = getHighlightsFilePath(store.folder);
+    if (file.migratedFrom !== null) {
+        getOutputChannel().appendLine(
+            `${highlightsFilePath}: migrated from version ${file.migratedFrom} to ${HIGHLIGHTS_SCHEMA_VERSION}, the file is upgraded on the next save`
+        );
+    }
+    if (file.problems.length === 0) return;
+
+    const outputChannel = getOutputChannel();
+    outputChannel.appendLine(`${highlightsFilePath}: ${file.problems.length} invalid entr(ies) skipped`);
+    file.problems.forEach(problem => outputChannel.appendLine(`  ${problem}`));
+
+    const choice = await vscode.window.showWarningMessage(
+        `${file.problems.length} invalid entr(ies) in highlights.json of "${store.folder.name}" were skipped`,
+        'Show details'
+    );
+    if (choice === 'Show details') {
+        outputChannel.show(true);
+    }
+}
+
+/**
+ * Gets the output channel of the extension, creating it on first use
+ * @returns {vscode.OutputChannel} Output channel
+ */
+function getOutputChannel() {
+    if (!outputChannel) {
+        outputChannel = vscode.window.createOutputChannel('Code Highlighter');
+        context.subscriptions.push(outputChannel);
+    }
+    return outputChannel;
+}
+
+/**
+ * Replaces the in-memory highlights of a workspace folder with the given highlights.json data
+ * Every range is re-anchored in case the file changed outside the editor
+ * @param {Object} store - Highlights store of the folder
+ * @param {{layers: Object, files: Object}} data - Highlights data
+ * @returns {number} Number of highlights marked as orphaned
+ */
+function setHighlightsFromData(store, data) {
+    const workspaceRoot = store.folder.uri.fsPath;
+    let orphanedCount = 0;
+
+    // Remember the layers of the file so highlights of unconfigured layers keep their color and name
+    let layersChanged = false;
+    Object.keys(data.layers || {}).forEach(layerId => {
+        const layerData = data.layers[layerId];
+        const savedLayer = savedLayers.get(layerId);
+        if (savedLayer && savedLayer.value !== layerData.color) {
+            layersChanged = true;
+        }
+        savedLayers.set(layerId, {
+            name: layerData.name || layerId,
+            description: layerData.description || '',
+            value: layerData.color
+        });
+    });
+    if (layersChanged) {
+        refreshLayers();
+    }
+
+    Array.from(highlightDecorations.keys())
+        .filter(uri => isUriInStore(uri, store))
+        .forEach(uri => highlightDecorations.delete(uri));
+    Object.keys(data.files).forEach(relativePath => {
+        const absolutePath = resolveWorkspacePath(workspaceRoot, relativePath);
+        let uri = vscode.Uri.file(absolutePath).toString();
+        const fileText = readCurrentFileText(uri, absolutePath);
+        const fileHighlights = deserializeFileHighlights(data.files[relativePath], fileText);
+        orphanedCount += fileHighlights.orphanedCount;
+        highlightDecorations.set(uri, fileHighlights.layerMap);
+    });
+
+    return orphanedCount;
+}
+
+/**
+ * Builds the in-memory highlights of a single file from its highlights.json structure
+ * Ranges are re-anchored against the current text of the file when it is known
+ * @param {Object} fileData - Highlights of the file by layer id
+ * @param {string|null} fileText - Current text of the file, or null if it cannot be read
+ * @returns {{layerMap: Map<string, Object[]>, orphanedCount: number}} Highlights by layer id and number of newly orphaned highlights
+ */
+function deserializeFileHighlights(fileData, fileText) {
+    const layerMap = new Map();
+    const lineOffsets = fileText !== null ? getLineOffsets(fileText) : null;
+    let orphanedCount = 0;
+
+    Object.keys(fileData).forEach(layerId => {
+        const decorations = fileData[layerId].map(decData => {
+            // Re-anchor the range in case the file changed outside the editor
+            const location = relocateHighlightEntry(decData, fileText, lineOffsets);
+            // Only report highlights that were not already orphaned
+            if (location.orphaned && !decData.orphaned) orphanedCount++;
+
+            const decoration = {
+                range: new vscode.Range(
+                    new vscode.Position(location.start.line, location.start.character),
+                    new vscode.Position(location.end.line, location.end.character)
+                ),
+                anchor: decData.anchor,
+                orphaned: location.orphaned
+            };
+            if (decData.auto) {
+                decoration.auto = true;
+            }
+            HIGHLIGHT_METADATA_FIELDS.forEach(field => {
+                if (decData[field] !== undefined) {
+                    decoration[field] = decData[field];
+                }
+            });
+            return decoration;
+        });
+        layerMap.set(layerId, decorations);
+    });
+
+    return { layerMap, orphanedCount };
+}
+
+/**
+ * Loads saved highlights from the highlights.json file of every workspace folder and applies them
+ * @returns {Promise<void>} Promise that resolves when loading is complete
+ */
+function loadSavedHighlights() {
+    return new Promise((resolve) => {
+        let orphanedCount = 0;
+        getAllHighlightStores().forEach(store => {
+            orphanedCount += loadHighlightStore(store);
+        });
+
+        vscode.window.visibleTextEditors.forEach(editor => applyHighlights(editor));
+        notifyHighlightsChanged();
+
+        if (orphanedCount > 0) {
+            vscode.window.showWarningMessage(
+                `${orphanedCount} code highlight(s) could not be found in the current code and were marked as orphaned`
+            );
+        }
+        resolve();
+    });
+}
+
+/**
+ * Loads the highlights.json file of one workspace folder into memory
+ * @param {Object} store - Highlights store
+ * @returns {number} Number of highlights marked as orphaned
+ */
+function loadHighlightStore(store) {
+    try {
+        const file = readHighlightsFile(getHighlightsFilePath(store.folder));
+        store.hasErrors = false;
+        store.dirtyFiles.clear();
+        store.isFullyDirty = false;
+        store.lastSyncedContent = file.content;
+        store.lastSyncedHighlights = file.data || { files: {} };
+        reportHighlightsFileProblems(store, file);
+        syncWorkspacePalette();
+        return file.data ? setHighlightsFromData(store, file.data) : 0;
+    } catch (error) {
+        reportHighlightsFileError(store, error);
+        return 0;
+    }
+}
+
+/**
+ * Shows a highlights.json read error to the user
+ * Saving is suspended until the file can be read again; merge conflicts can be resolved from the message
+ * @param {Object} store - Highlights store whose file failed
+ * @param {Error} error - Parse or read error
+ */
+async function reportHighlightsFileError(store, error) {
+    store.hasErrors = true;
+    console.error('Error loading highlights.json:', error);
+
+    const highlightsFilePath = getHighlightsFilePath(store.folder);
+    const hasConflicts = highlightsFileHasConflicts(store);
+    const message = hasConflicts ?
+        `${highlightsFilePath} has merge conflicts. Code highlights of "${store.folder.name}" will not be saved until they are resolved.` :
+        `Error reading ${highlightsFilePath}: ${error.message}. Code highlights of "${store.folder.name}" will not be saved until the file is fixed.`;
+    const actions = hasConflicts ? ['Resolve conflicts', 'Open highlights.json'] : ['Open highlights.json'];
+
+    const choice = await vscode.window.showErrorMessage(message, ...actions);
+    if (choice === 'Resolve conflicts') {
+        resolveHighlightsConflicts(store);
+    } else if (choice === 'Open highlights.json') {
+        const document = await vscode.workspace.openTextDocument(highlightsFilePath);
+        vscode.window.showTextDocument(document);
+    }
+}
+
+// ============================================================================
+// SYNC FUNCTIONS
+// ============================================================================
+
+/**
+ * Watches the highlights.json of a workspace folder and syncs the in-memory
+ * highlights when it changes on disk (git checkout, a teammate's edit, a hand edit)
+ * @param {Object} store - Highlights store
+ */
+function watchHighlightsFile(store) {
+    if (store.watcher) return;
+
+    store.watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(store.folder, 'highlights.json')
+    );
+    store.watcher.onDidChange(() => syncHighlightsFromDisk(store));
+    store.watcher.onDidCreate(() => syncHighlightsFromDisk(store));
+    store.watcher.onDidDelete(() => syncHighlightsFromDisk(store));
+}
+
+/**
+ * Opens and closes highlights stores as workspace folders are added and removed
+ * @param {vscode.WorkspaceFoldersChangeEvent} event - Workspace folders change event
+ */
+function onWorkspaceFoldersChanged(event) {
+    event.removed.forEach(folder => {
+        const key = folder.uri.toString();
+        const store = highlightStores.get(key);
+        if (store && store.watcher) {
+            store.watcher.dispose();
+        }
+        highlightStores.delete(key);
+
+        // Highlights of a removed folder are kept in its highlights.json, drop them from memory
+        Array.from(highlightDecorations.keys())
+            .filter(uri => vscode.Uri.parse(uri).fsPath.startsWith(folder.uri.fsPath + path.sep))
+            .forEach(uri => highlightDecorations.delete(uri));
+    });
+    // A removed folder may have shared the palette
+    syncWorkspacePalette();
+
+    let orphanedCount = 0;
+    event.added.forEach(folder => {
+        const store = getHighlightStore(folder);
+        orphanedCount += loadHighlightStore(store);
+        watchHighlightsFile(store);
+    });
+
+    vscode.window.visibleTextEditors.forEach(editor => applyHighlights(editor));
+    notifyHighlightsChanged();
+
+    if (orphanedCount > 0) {
+        vscode.window.showWarningMessage(
+            `${orphanedCount} code highlight(s) could not be found in the current code and were marked as orphaned`
+        );
+    }
+}
+
+/**
+ * Reloads the highlights.json of a workspace folder after an external change
+ * Runs a three-way merge between the last synced file, the in-memory highlights
+ * and the new file, so neither side silently overwrites the other
+ * @param {Object} store - Highlights store
+ */
+function syncHighlightsFromDisk(store) {
+    let file;
+    let content;
+    let theirs;
+    try {
+        file = readHighlightsFile(getHighlightsFilePath(store.folder));
+        content = file.content;
+        theirs = file.data || { files: {} };
+    } catch (error) {
+        reportHighlightsFileError(store, error);
+        return;
+    }
+
+    // Our own write, nothing changed
+    if (content === store.lastSyncedContent && !store.hasErrors) return;
+    store.hasErrors = false;
+    reportHighlightsFileProblems(store, file);
+
+    const base = store.lastSyncedHighlights || { files: {} };
+    const ours = serializeHighlights(store);
+    const { data: merged, conflictingFiles } = mergeHighlightsData(base, ours, theirs);
+
+    store.lastSyncedContent = content;
+    store.lastSyncedHighlights = theirs;
+    syncWorkspacePalette();
+
+    // Memory now holds the merged data, pending changes are part of it
+    const orphanedCount = setHighlightsFromData(store, merged);
+    store.dirtyFiles.clear();
+    store.isFullyDirty = false;
+    vscode.window.visibleTextEditors.forEach(editor => applyHighlights(editor));
+    notifyHighlightsChanged();
+
+    // Write back local changes the file did not have yet
+    if (stableStringify(merged) !== stableStringify(theirs)) {
+        store.isFullyDirty = true;
+        saveHighlightStore(store);
+    }
+
+    if (conflictingFiles.length > 0) {
+        vscode.window.showInformationMessage(
+            `highlights.json of "${store.folder.name}" changed on disk and was merged with local code highlight changes in ${conflictingFiles.length} file(s)`
+        );
+    }
+    if (orphanedCount > 0) {
+        vscode.window.showWarningMessage(
+            `${orphanedCount} code highlight(s) could not be found in the current code and were marked as orphaned`
+        );
+    }
+}
+
+// ============================================================================
+// MERGE CONFLICT FUNCTIONS
+// ============================================================================
+
+/**
+ * Handler for the 'resolveHighlightsConflicts' command
+ * Resolves the conflict markers git left in highlights.json: both sides are merged
+ * highlight by highlight, and only true conflicts (a range in different layers on
+ * each side, rules changed on both) are asked about
+ */
+async function resolveHighlightsConflictsCommandHandler() {
+    const stores = getAllHighlightStores().filter(store => highlightsFileHasConflicts(store));
+
+    if (stores.length === 0) {
+        vscode.window.showInformationMessage('No merge conflicts in highlights.json');
+        return;
+    }
+
+    let store = stores[0];
+    if (stores.length > 1) {
+        const selectedItem = await vscode.window.showQuickPick(
+            stores.map(candidate => ({ label: candidate.folder.name, description: getHighlightsFilePath(candidate.folder), store: candidate })),
+            { placeHolder: 'Select the workspace folder whose highlights.json to resolve' }
+        );
+        if (!selectedItem) return;
+        store = selectedItem.store;
+    }
+
+    await resolveHighlightsConflicts(store);
+}
+
+/**
+ * Merges the conflicting sides of the highlights.json of a workspace folder and writes the result
+ * @param {Object} store - Highlights store whose highlights.json has conflict markers
+ * @returns {Promise<void>} Promise that resolves when the file is written, or the user cancels
+ */
+async function resolveHighlightsConflicts(store) {
+    const highlightsFilePath = getHighlightsFilePath(store.folder);
+    const highlightsFileUri = vscode.Uri.file(highlightsFilePath);
+
+    let sides;
+    try {
+        const versions = splitConflictMarkers(readCurrentFileText(highlightsFileUri.toString(), highlightsFilePath));
+        const options = { layers: getAvailableColors() };
+        sides = {
+            // Without diff3 base sections, every highlight of either side is kept
+            base: versions.base !== null ? parseHighlightsText(versions.base, options).data : { layers: {}, files: {} },
+            ours: parseHighlightsText(versions.ours, options).data,
+            theirs: parseHighlightsText(versions.theirs, options).data,
+            oursLabel: versions.oursLabel,
+            theirsLabel: versions.theirsLabel
+        };
+    } catch (error) {
+        vscode.window.showErrorMessage(`Cannot merge the conflicts of ${highlightsFilePath}: ${error.message}. Resolve them by hand.`);
+        return;
+    }
+
+    const { data, conflicts } = mergeHighlightsBranches(sides.base, sides.ours, sides.theirs);
+    const choices = [];
+    for (let i = 0; i < conflicts.length; i++) {
+        const choice = await pickConflictResolution(conflicts[i], sides, `${i + 1}/${conflicts.length}`);
+        if (!choice) return;
+        choices.push(choice);
+    }
+    const resolvedData = resolveMergeConflicts(data, conflicts, choices);
+
+    // The open highlights.json may have unsaved changes, save it so the result is not lost
+    const document = findOpenDocument(highlightsFileUri.toString());
+    const content = JSON.stringify(resolvedData, null, 2);
+    try {
+        if (document) {
+            const edit = new vscode.WorkspaceEdit();
+            edit.replace(highlightsFileUri, new vscode.Range(0, 0, document.lineCount, 0), content);
+            await vscode.workspace.applyEdit(edit);
+            await document.save();
+        } else {
+            await vscode.workspace.fs.writeFile(highlightsFileUri, Buffer.from(content, 'utf8'));
+        }
+    } catch (error) {
+        vscode.window.showErrorMessage(`Error saving ${highlightsFilePath}: ${error.message}`);
+        return;
+    }
+
+    syncHighlightsFromDisk(store);
+    vscode.window.showInformationMessage(
+        `highlights.json of "${store.folder.name}" merged` +
+        (conflicts.length > 0 ? `, ${conflicts.length} conflict(s) resolved` : ' without conflicts') +
+        '. Stage it to mark the conflict as resolved.'
+    );
+}
+
+/**
+ * Asks how to resolve one merge conflict of highlights.json
+ * @param {Object} conflict - Conflict of mergeHighlightsBranches
+ * @param {{ours: Object, theirs: Object, oursLabel: string, theirsLabel: string}} sides - Both sides of the merge
+ * @param {string} progress - Position of the conflict, e.g. '2/5'
+ * @returns {Promise<string|undefined>} 'ours', 'theirs' or 'both', or undefined if cancelled
+ */
+async function pickConflictResolution(conflict, sides, progress) {
+    let placeHolder;
+    let items;
+
+    if (conflict.field) {
+        placeHolder = `Conflict ${progress}: "${conflict.field}" changed on both ${sides.oursLabel} and ${sides.theirsLabel}`;
+        items = [
+            { label: `$(arrow-left) Keep ${sides.oursLabel}`, detail: JSON.stringify(conflict.ours), choice: 'ours' },
+            { label: `$(arrow-right) Keep ${sides.theirsLabel}`, detail: JSON.stringify(conflict.theirs), choice: 'theirs' }
+        ];
+    } else {
+        const layerNames = (data, layerIds) => layerIds
+            .map(layerId => (data.layers[layerId] && data.layers[layerId].name) || getLayer(layerId).name)
+            .join(', ');
+        const oursLayers = layerNames(sides.ours, conflict.oursLayerIds);
+        const theirsLayers = layerNames(sides.theirs, conflict.theirsLayerIds);
+        placeHolder = `Conflict ${progress}: ${conflict.filePath} lines ${conflict.range.startLine + 1}-${conflict.range.endLine + 1} ` +
+            `is ${oursLayers} on ${sides.oursLabel} and ${theirsLayers} on ${sides.theirsLabel}`;
+        items = [
+            { label: `$(arrow-left) ${oursLayers}`, description: `from ${sides.oursLabel}`, choice: 'ours' },
+            { label: `$(arrow-right) ${theirsLayers}`, description: `from ${sides.theirsLabel}`, choice: 'theirs' },
+            { label: '$(layers) Keep both', description: 'The range stays in both layers', choice: 'both' }
+        ];
+    }
+
+    const selectedItem = await vscode.window.showQuickPick(items, { placeHolder, ignoreFocusOut: true });
+    return selectedItem && selectedItem.choice;
+}
+
+/**
+ * Checks whether the highlights.json of a workspace folder has git conflict markers
+ * @param {Object} store - Highlights store
+ * @returns {boolean} True if the file has conflict markers
+ */
+function highlightsFileHasConflicts(store) {
+    const highlightsFilePath = getHighlightsFilePath(store.folder);
+    const text = readCurrentFileText(vscode.Uri.file(highlightsFilePath).toString(), highlightsFilePath);
+    return text !== null && hasConflictMarkers(text);
+}
+
+// ============================================================================
+// FILE OPERATION FUNCTIONS
+// ============================================================================
+
+/**
+ * Moves the highlights of renamed and moved files, including every file of a renamed folder
+ * @param {vscode.FileRenameEvent} event - Rename event
+ */
+function onFilesRenamed(event) {
+    let movedCount = 0;
+    event.files.forEach(({ oldUri, newUri }) => {
+        getHighlightUrisUnder(oldUri).forEach(uri => {
+            // A file inside a renamed folder keeps its path below the folder
+            const oldPath = vscode.Uri.parse(uri).fsPath;
+            const targetUri = vscode.Uri.file(newUri.fsPath + oldPath.substring(oldUri.fsPath.length)).toString();
+
+            moveFileHighlights(uri, targetUri, highlightDecorations.get(uri));
+            saveHighlights(uri);
+            saveHighlights(targetUri);
+            refreshEditorsForUri(targetUri);
+            movedCount++;
+        });
+    });
+
+    if (movedCount > 0) {
+        notifyHighlightsChanged();
+    }
+}
+
+/**
+ * Moves the highlights of a document to another one
+ * If the target already has highlights, both are kept, layer by layer
+ * @param {string} uri - URI of the document the highlights are moved from
+ * @param {string} targetUri - URI of the document the highlights are moved to
+ * @param {Map<string, Object[]>} layerMap - Highlights to move, by layer
+ */
+function moveFileHighlights(uri, targetUri, layerMap) {
+    highlightDecorations.delete(uri);
+    const targetLayerMap = highlightDecorations.get(targetUri);
+    if (!targetLayerMap) {
+        highlightDecorations.set(targetUri, layerMap);
+        return;
+    }
+    layerMap.forEach((decorations, layerId) => {
+        targetLayerMap.set(layerId, (targetLayerMap.get(layerId) || []).concat(decorations));
+    });
+}
+
+/**
+ * Removes the highlights of deleted files, including every file of a deleted folder
+ * The removal is recorded in the history, so it can be undone after restoring the files
+ * @param {vscode.FileDeleteEvent} event - Delete event
+ */
+function onFilesDeleted(event) {
+    const uris = [];
+    event.files.forEach(fileUri => uris.push(...getHighlightUrisUnder(fileUri)));
+    if (uris.length === 0) return;
+
+    const before = captureHighlightSnapshot(uris);
+    uris.forEach(uri => {
+        highlightDecorations.delete(uri);
+        saveHighlights(uri);
+    });
+    pushHighlightHistory(`Remove highlights of ${uris.length} deleted file(s)`, before);
+    notifyHighlightsChanged();
+    vscode.window.setStatusBarMessage(`$(trash) Removed the code highlights of ${uris.length} deleted file(s)`, 5000);
+}
+
+/**
+ * Gets the documents with highlights that are a file or inside a folder
+ * @param {vscode.Uri} fileUri - File or folder URI
+ * @returns {string[]} URIs of the documents with highlights
+ */
+function getHighlightUrisUnder(fileUri) {
+    const target = fileUri.toString();
+    const folderPrefix = fileUri.fsPath + path.sep;
+    return Array.from(highlightDecorations.keys()).filter(uri =>
+        uri === target || vscode.Uri.parse(uri).fsPath.startsWith(folderPrefix)
+    );
+}
+
+/**
+ * Handler for the 'pruneOrphanedHighlights' command
+ * Cleans up after changes made outside the editor (git mv, git rm, another tool):
+ * highlights of missing files are moved to the file they were moved to, if it can be
+ * found by name and code, or removed, and orphaned highlights of existing files are removed.
+ * Every change is listed first and can be unchecked
+ */
+async function pruneOrphanedHighlightsCommandHandler() {
+    const items = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Looking for orphaned code highlights'
+    }, () => planOrphanedHighlightsPrune());
+
+    if (items.length === 0) {
+        vscode.window.showInformationMessage('No orphaned code highlights: every highlighted file exists and every highlight was found in its code');
+        return;
+    }
+
+    const selectedItems = await vscode.window.showQuickPick(items, {
+        placeHolder: 'Select the changes to apply',
+        canPickMany: true
+    });
+    if (!selectedItems || selectedItems.length === 0) return;
+
+    const uris = new Set();
+    selectedItems.forEach(item => {
+        uris.add(item.uri);
+        if (item.targetUri) uris.add(item.targetUri);
+    });
+    const before = captureHighlightSnapshot(Array.from(uris));
+
+    let removedCount = 0;
+    let movedCount = 0;
+    selectedItems.forEach(item => {
+        if (item.action === 'move') {
+            const fileText = readCurrentFileText(item.targetUri, vscode.Uri.parse(item.targetUri).fsPath);
+            moveFileHighlights(item.uri, item.targetUri, deserializeFileHighlights(item.fileData, fileText).layerMap);
+            refreshEditorsForUri(item.targetUri);
+            movedCount++;
+        } else if (item.action === 'removeFile') {
+            highlightDecorations.delete(item.uri);
+            removedCount += item.count;
+        } else {
+            const layerMap = highlightDecorations.get(item.uri);
+            Array.from(layerMap.keys()).forEach(layerId => {
+                const decorations = layerMap.get(layerId).filter(decoration => !decoration.orphaned);
+                if (decorations.length > 0) {
+                    layerMap.set(layerId, decorations);
+                } else {
+                    layerMap.delete(layerId);
+                }
+            });
+            if (layerMap.size === 0) {
+                highlightDecorations.delete(item.uri);
+            }
+            refreshEditorsForUri(item.uri);
+            removedCount += item.count;
+        }
+    });
+    uris.forEach(uri => saveHighlights(uri));
+    notifyHighlightsChanged();
+
+    const entry = pushHighlightHistory('Prune orphaned highlights', before);
+    showUndoableMessage(`${movedCount} file(s) followed to their new path, ${removedCount} orphaned code highlight(s) removed`, entry);
+}
+
+/**
+ * Lists what pruning orphaned highlights would change, as quick pick items
+ * @returns {Promise<Object[]>} Items with the action ('move', 'removeFile' or 'removeOrphaned'),
+ *   the document URI, the highlight count and, for moves, the target URI and the highlights to move
+ */
+async function planOrphanedHighlightsPrune() {
+    const items = [];
+    // Two missing files with the same name must not be moved to the same file
+    const claimedUris = new Set();
+    for (const [uri, layerMap] of Array.from(highlightDecorations.entries())) {
+        const store = getHighlightStoreForUri(uri);
+        if (!store) continue;
+
+        const relativePath = getStoreRelativePath(store, uri);
+        const count = Array.from(layerMap.values()).reduce((sum, decorations) => sum + decorations.length, 0);
+
+        if (!(await fileExists(vscode.Uri.parse(uri)))) {
+            const fileData = serializeFileHighlights(uri, layerMap);
+            const targetUri = await findMovedFile(store, uri, fileData, claimedUris);
+            if (targetUri) claimedUris.add(targetUri);
+            items.push(targetUri ? {
+                label: `$(arrow-right) ${relativePath} → ${getStoreRelativePath(store, targetUri)}`,
+                description: `${count} highlight(s), file moved`,
+                picked: true,
+                action: 'move',
+                uri,
+                targetUri,
+                fileData,
+                count
+            } : {
+                label: `$(trash) ${relativePath}`,
+                description: `${count} highlight(s), file not found`,
+                picked: true,
+                action: 'removeFile',
+                uri,
+                count
+            });
+            continue;
+        }
+
+        const orphanedCount = Array.from(layerMap.values())
+            .reduce((sum, decorations) => sum + decorations.filter(decoration => decoration.orphaned).length, 0);
+        if (orphanedCount > 0) {
+            items.push({
+                label: `$(debug-disconnect) ${relativePath}`,
+                description: `${orphanedCount} orphaned highlight(s), code not found`,
+                picked: true,
+                action: 'removeOrphaned',
+                uri,
+                count: orphanedCount
+            });
+        }
+    }
+    return items;
+}
+
+/**
+ * Finds where a missing file was moved to outside the editor
+ * Candidates are the files of the same folder with the same name, no highlights
+ * and not already claimed by another missing file; the one where most highlight anchors are found wins
+ * @param {Object} store - Highlights store of the missing file
+ * @param {string} uri - URI of the missing file
+ * @param {Object} fileData - Highlights of the missing file in the highlights.json structure
+ * @param {Set<string>} claimedUris - URIs already chosen as the new path of another missing file
+ * @returns {Promise<string|null>} URI of the moved file, or null if no candidate matches
+ */
+async function findMovedFile(store, uri, fileData, claimedUris) {
+    const fileName = path.basename(vscode.Uri.parse(uri).fsPath);
+    const candidates = (await vscode.workspace.findFiles(
+        new vscode.RelativePattern(store.folder, `**/${fileName}`),
+        RULES_EXCLUDE_GLOB,
+        MOVED_FILE_MAX_CANDIDATES
+    )).filter(candidate => !highlightDecorations.has(candidate.toString()) && !claimedUris.has(candidate.toString()));
+
+    let best = null;
+    let bestScore = 0;
+    candidates.forEach(candidate => {
+        const fileText = readCurrentFileText(candidate.toString(), candidate.fsPath);
+        if (fileText === null) return;
+        const score = countRelocatedEntries(fileData, fileText);
+        if (score > bestScore) {
+            best = candidate.toString();
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Builds the API returned by activate, so other extensions can use the highlight model
+ * instead of parsing highlights.json:
+ *   const api = await vscode.extensions.getExtension('AmazingCrab.crab-code-highlighter').activate();
+ * Layers can be given by id or by name. Check api.version before using it
+ * @returns {Object} Public API
+ */
+function createPublicApi() {
+    return Object.freeze({
+        version: PUBLIC_API_VERSION,
+        /** Fired after highlights are added, removed, moved or reloaded */
+        onDidChangeHighlights: highlightsChangedEmitter.event,
+        getLayers: () => getApiLayers(),
+        getHighlights: filter => getApiHighlights(filter),
+        addHighlight: (uri, range, layer, options) => addApiHighlight(uri, range, layer, options),
+        removeHighlights: (uri, options) => removeApiHighlights(uri, options)
+    });
+}
+
+/**
+ * Lists the configured layers
+ * @returns {Array<{id: string, name: string, description: string, color: string}>} Layers
+ */
+function getApiLayers() {
+    return getAvailableColors().map(layer => ({
+        id: layer.id,
+        name: layer.name,
+        description: layer.description || '',
+        color: layer.value
+    }));
+}
+
+/**
+ * Queries highlights, optionally limited to a file and to a layer
+ * @param {{uri?: vscode.Uri|string, layer?: string}} [filter] - File and layer id or name
+ * @returns {Object[]} Copies of the highlights, see toApiHighlight
+ */
+function getApiHighlights(filter) {
+    const { uri, layer } = filter || {};
+    const uriKey = uri ? toUriString(uri) : null;
+    const layerId = layer ? resolveRuleLayerId(layer) : null;
+    if (layer && !layerId) return [];
+
+    return getAllHighlightEntries()
+        .filter(entry => (!uriKey || entry.uri === uriKey) && (!layerId || entry.layerId === layerId))
+        .map(entry => toApiHighlight(entry.uri, entry.layerId, entry.decoration));
+}
+
+/**
+ * Adds a highlight, merging it with the highlights of the same layer it overlaps or touches
+ * @param {vscode.Uri|string} uri - Document to highlight
+ * @param {vscode.Range} range - Range to highlight
+ * @param {string} layer - Layer id or name
+ * @param {{note?: string, tags?: string[]}} [options] - Note and tags of the highlight
+ * @returns {Promise<Object>} The resulting highlight
+ */
+async function addApiHighlight(uri, range, layer, options) {
+    const layerId = resolveRuleLayerId(layer);
+    if (!layerId) {
+        throw new Error(`Unknown code highlight layer: ${layer}`);
+    }
+    if (!isValidColor(getLayer(layerId).value)) {
+        throw new Error(`Invalid color of layer ${layer}: ${getLayer(layerId).value}`);
+    }
+
+    const document = await vscode.workspace.openTextDocument(typeof uri === 'string' ? vscode.Uri.parse(uri) : uri);
+    const validRange = document.validateRange(range);
+    if (validRange.isEmpty) {
+        throw new Error('Cannot highlight an empty range');
+    }
+
+    const properties = {};
+    if (options && typeof options.note === 'string' && options.note.trim()) {
+        properties.note = options.note.trim();
+    }
+    if (options && Array.isArray(options.tags)) {
+        const tags = parseHighlightTags(options.tags.join(','));
+        if (tags.length > 0) properties.tags = tags;
+    }
+
+    const uriKey = document.uri.toString();
+    const decoration = insertHighlight(document, validRange, layerId, properties);
+    refreshEditorsForUri(uriKey);
+    saveHighlights(uriKey);
+    notifyHighlightsChanged();
+    return toApiHighlight(uriKey, layerId, decoration);
+}
+
+/**
+ * Removes the highlights of a file, or only a range of them, trimming or splitting the ones sticking out of it
+ * @param {vscode.Uri|string} uri - Document
+ * @param {{range?: vscode.Range, layer?: string}} [options] - Range to remove and layer id or name to limit the removal to
+ * @returns {Promise<number>} Number of removed, trimmed or split highlights
+ */
+async function removeApiHighlights(uri, options) {
+    const { range, layer } = options || {};
+    const layerId = layer ? resolveRuleLayerId(layer) : null;
+    if (layer && !layerId) return 0;
+
+    const uriKey = toUriString(uri);
+    const layerMap = highlightDecorations.get(uriKey);
+    if (!layerMap) return 0;
+
+    let count = 0;
+    if (range) {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(uriKey));
+        const result = removeRangeFromHighlights(document, range, layerId);
+        count = result.removedCount + result.trimmedCount;
+    } else {
+        layerMap.forEach((decorations, id) => {
+            if (layerId && id !== layerId) return;
+            count += decorations.length;
+            layerMap.delete(id);
+        });
+    }
+    if (layerMap.size === 0) {
+        highlightDecorations.delete(uriKey);
+    }
+
+    if (count > 0) {
+        refreshEditorsForUri(uriKey);
+        saveHighlights(uriKey);
+        notifyHighlightsChanged();
+    }
+    return count;
+}
+
+/**
+ * Copies a highlight for the public API, so callers cannot change the in-memory one
+ * @param {string} uri - Document URI
+ * @param {string} layerId - Layer id
+ * @param {Object} decoration - Highlight
+ * @returns {{uri: vscode.Uri, layer: string, layerName: string, range: vscode.Range, orphaned: boolean, auto: boolean,
+ *            note?: string, tags?: string[], author?: string, createdAt?: string, updatedAt?: string, symbol?: Object}} Highlight
+ */
+function toApiHighlight(uri, layerId, decoration) {
+    const highlight = {
+        uri: vscode.Uri.parse(uri),
+        layer: layerId,
+        layerName: getLayer(layerId).name,
+        range: decoration.range,
+        orphaned: !!decoration.orphaned,
+        auto: !!decoration.auto
+    };
+    HIGHLIGHT_METADATA_FIELDS.forEach(field => {
+        if (decoration[field] !== undefined) {
+            highlight[field] = JSON.parse(JSON.stringify(decoration[field]));
+        }
+    });
+    return highlight;
+}
+
+/**
+ * Normalizes a URI given as a vscode.Uri or a string to the keys of highlightDecorations
+ * @param {vscode.Uri|string} uri - URI
+ * @returns {string} URI string
+ */
+function toUriString(uri) {
+    return (typeof uri === 'string' ? vscode.Uri.parse(uri) : uri).toString();
+}
+
+// ============================================================================
+// EXTENSION DEACTIVATION
+// ============================================================================
+
+/**
+ * Extension deactivation function called by VS Code
+ * Flushes pending highlight changes and cleans up resources
+ * @returns {Promise<void>} Promise that resolves when highlights are saved
+ */
+async function deactivate() {
+    symbolResyncTimers.forEach(timer => clearTimeout(timer));
+    symbolResyncTimers.clear();
+    if (notifyTimer) {
+        clearTimeout(notifyTimer);
+        notifyTimer = null;
+    }
+    if (dependencyCheckTimer) {
+        clearTimeout(dependencyCheckTimer);
+        dependencyCheckTimer = null;
+    }
+    if (coverageRefreshTimer) {
+        clearTimeout(coverageRefreshTimer);
+        coverageRefreshTimer = null;
+    }
+    await flushHighlights();
     decorationTypes.forEach(decorationType => {
         decorationType.dispose();
     });
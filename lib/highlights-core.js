@@ -0,0 +1,1562 @@
+/**
+ * Code Highlighter core
+ *
+ * The highlights.json model without any VS Code dependency: reading, migrating,
+ * validating, merging and anchoring highlights, plus the architecture report data.
+ * Used by the extension and by the code-highlighter command line tool.
+ *
+ * @author AmazingCrab
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Current version of the highlights.json format
+ * Version 1 is the original unversioned { files: { path: { color: [ranges] } } } shape,
+ * version 3 keys highlights by layer id: { layers: { id: layer }, files: { path: { layerId: [ranges] } } }
+ */
+const HIGHLIGHTS_SCHEMA_VERSION = 3;
+
+/**
+ * Optional properties of a highlight, saved as-is in highlights.json
+ */
+const HIGHLIGHT_METADATA_FIELDS = ['note', 'tags', 'author', 'createdAt', 'updatedAt', 'symbol'];
+
+/**
+ * Fields of highlights.json that are only edited by hand or by their own commands, kept as-is when saving
+ */
+const HAND_EDITED_FIELDS = ['rules', 'dependencyRules', 'palette'];
+
+/**
+ * Severities a layer dependency rule can report its violations with
+ */
+const DEPENDENCY_SEVERITY_NAMES = ['error', 'warning', 'information', 'hint'];
+
+/**
+ * Maximum number of lines of code shown per highlight in architecture reports
+ */
+const REPORT_EXCERPT_MAX_LINES = 20;
+
+/**
+ * Number of characters kept from the start and the end of a highlight in its anchor
+ */
+const ANCHOR_SNIPPET_LENGTH = 60;
+
+/**
+ * Number of characters kept before and after a highlight as anchor context
+ */
+const ANCHOR_CONTEXT_LENGTH = 40;
+
+/**
+ * Length of the conflict markers git writes (<<<<<<<, |||||||, =======, >>>>>>>)
+ */
+const CONFLICT_MARKER_LENGTH = 7;
+
+/**
+ * Migrations of highlights.json data, keyed by the version they upgrade from
+ * Each migration receives data of version N and returns data of version N + 1
+ * @type {Object<number, function(Object, {layers: Object[]}): Object>}
+ */
+const highlightsMigrations = {
+    // 1 -> 2: same shape, the version field is added
+    1: data => Object.assign({}, data, { version: 2 }),
+    // 2 -> 3: highlights are keyed by layer id instead of color
+    2: (data, options) => migrateColorKeysToLayerIds(data, options.layers)
+};
+
+// ============================================================================
+// VALIDATION FUNCTIONS
+// ============================================================================
+
+/**
+ * Validates if a color string is a valid hex color
+ * Accepts 6 digits (RGB) or 8 digits (RGBA) with # prefix
+ * @param {string} color - Color string to validate
+ * @returns {boolean} True if valid hex color
+ */
+function isValidColor(color) {
+    return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{8})$/.test(color);
+}
+
+/**
+ * Validates if a string can be used as a layer id
+ * @param {string} layerId - Layer id to validate
+ * @returns {boolean} True if valid layer id
+ */
+function isValidLayerId(layerId) {
+    return typeof layerId === 'string' && /^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(layerId);
+}
+
+/**
+ * Derives a layer id from a layer name, e.g. 'Data Access' -> 'data-access'
+ * @param {string} name - Layer name
+ * @returns {string} Layer id
+ */
+function slugifyLayerName(name) {
+    const slug = String(name)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'layer';
+}
+
+/**
+ * Reads, migrates and validates highlights.json
+ * Invalid entries are skipped and listed in the returned problems
+ * @param {string} highlightsFilePath - Path to highlights.json
+ * @param {{layers?: Object[]}} [options] - Configured layers, used to migrate highlights keyed by color
+ * @returns {{content: string|null, data: Object|null, problems: string[], migratedFrom: number|null}}
+ *   Raw content and current-version data (both null if the file does not exist), skipped entries and original version if migrated
+ * @throws {Error} If the file is not valid JSON, not an object, or written by a newer version
+ */
+function readHighlightsFile(highlightsFilePath, options) {
+    if (!fs.existsSync(highlightsFilePath)) {
+        return { content: null, data: null, problems: [], migratedFrom: null };
+    }
+
+    const content = fs.readFileSync(highlightsFilePath, 'utf8');
+    return Object.assign({ content }, parseHighlightsText(content, options));
+}
+
+/**
+ * Parses, migrates and validates the text of highlights.json
+ * @param {string} content - File text
+ * @param {{layers?: Object[]}} [options] - Configured layers, used to migrate highlights keyed by color
+ * @returns {{data: Object, problems: string[], migratedFrom: number|null}} Current-version data, skipped entries and original version if migrated
+ * @throws {Error} If the text is not valid JSON, not an object, or written by a newer version
+ */
+function parseHighlightsText(content, options) {
+    const { data: migratedData, migratedFrom } = migrateHighlightsData(JSON.parse(content), options);
+    const { data, problems } = validateHighlightsData(migratedData);
+    return { data, problems, migratedFrom };
+}
+
+/**
+ * Upgrades highlights.json data to the current version
+ * Unversioned data is version 1
+ * @param {*} data - Parsed highlights.json
+ * @param {{layers?: Object[]}} [options] - Configured layers, used to migrate highlights keyed by color
+ * @returns {{data: Object, migratedFrom: number|null}} Current-version data and the original version if it was migrated
+ * @throws {Error} If the data is not an object or was written by a newer version of the extension
+ */
+function migrateHighlightsData(data, options) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('highlights.json must contain a JSON object');
+    }
+
+    const originalVersion = data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(originalVersion) || originalVersion < 1) {
+        throw new Error(`unknown highlights.json version: ${JSON.stringify(data.version)}`);
+    }
+    if (originalVersion > HIGHLIGHTS_SCHEMA_VERSION) {
+        throw new Error(`highlights.json version ${originalVersion} was written by a newer version of Code Highlighter`);
+    }
+
+    const migrationOptions = { layers: (options && options.layers) || [] };
+    let migratedData = data;
+    for (let version = originalVersion; version < HIGHLIGHTS_SCHEMA_VERSION; version++) {
+        migratedData = highlightsMigrations[version](migratedData, migrationOptions);
+    }
+    return { data: migratedData, migratedFrom: originalVersion < HIGHLIGHTS_SCHEMA_VERSION ? originalVersion : null };
+}
+
+/**
+ * Rekeys version 2 data (highlights keyed by color) by layer id
+ * Each color is matched to the configured layer with that color, then to the configured layer
+ * with the name saved in its entries, and otherwise becomes a new layer named after its entries
+ * @param {Object} data - Version 2 highlights.json data
+ * @param {Array<{id: string, name: string, value: string}>} configuredLayers - Layers from settings
+ * @returns {Object} Version 3 highlights.json data
+ */
+function migrateColorKeysToLayerIds(data, configuredLayers) {
+    const layers = {};
+    const files = {};
+    const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const sourceFiles = isPlainObject(data.files) ? data.files : {};
+
+    Object.keys(sourceFiles).forEach(filePath => {
+        const fileData = sourceFiles[filePath];
+        if (!isPlainObject(fileData)) {
+            // Left for validation to report
+            files[filePath] = fileData;
+            return;
+        }
+
+        const migratedFile = {};
+        Object.keys(fileData).forEach(color => {
+            const entries = Array.isArray(fileData[color]) ? fileData[color] : [];
+            const namedEntry = entries.find(entry => entry && typeof entry.name === 'string');
+            const entryName = namedEntry ? namedEntry.name : null;
+
+            const layer = configuredLayers.find(configured => configured.value.toLowerCase() === color.toLowerCase()) ||
+                (entryName && configuredLayers.find(configured => configured.name === entryName));
+            let layerId = layer ? layer.id :
+                (entryName ? slugifyLayerName(entryName) : `color-${color.replace(/^#/, '').toLowerCase()}`);
+            // A new layer must not take over the id of an unrelated configured layer
+            if (!layer && configuredLayers.some(configured => configured.id === layerId)) {
+                layerId = `${layerId}-${color.replace(/^#/, '').toLowerCase()}`;
+            }
+
+            if (!layers[layerId]) {
+                layers[layerId] = {
+                    name: layer ? layer.name : (entryName || color),
+                    color: isValidColor(color) || !layer ? color : layer.value
+                };
+                const description = layer ? layer.description : namedEntry && namedEntry.description;
+                if (description) {
+                    layers[layerId].description = description;
+                }
+            }
+
+            const migratedEntries = entries.map(entry => {
+                if (!isPlainObject(entry)) return entry;
+                const migratedEntry = Object.assign({}, entry);
+                delete migratedEntry.name;
+                delete migratedEntry.description;
+                return migratedEntry;
+            });
+            // Two colors can end up in the same layer
+            migratedFile[layerId] = (migratedFile[layerId] || []).concat(migratedEntries);
+        });
+        files[filePath] = migratedFile;
+    });
+
+    return Object.assign({}, data, { version: 3, layers, files });
+}
+
+/**
+ * Validates current-version highlights.json data entry by entry
+ * Invalid files, layers and entries are skipped instead of failing the whole load
+ * @param {Object} data - Migrated highlights.json data
+ * @returns {{data: Object, problems: string[]}} Data without invalid entries and a description of each skipped entry
+ */
+function validateHighlightsData(data) {
+    const problems = [];
+    const layers = {};
+    const files = {};
+    const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+    if (isPlainObject(data.layers)) {
+        Object.keys(data.layers).forEach(layerId => {
+            const layer = data.layers[layerId];
+            const location = `layers[${JSON.stringify(layerId)}]`;
+            if (!isValidLayerId(layerId)) {
+                problems.push(`${location}: invalid layer id`);
+            } else if (!isPlainObject(layer) || !isValidColor(layer.color)) {
+                problems.push(`${location}: must be an object with a valid color`);
+            } else if ((layer.name !== undefined && typeof layer.name !== 'string') ||
+                (layer.description !== undefined && typeof layer.description !== 'string')) {
+                problems.push(`${location}: name and description must be strings`);
+            } else {
+                layers[layerId] = layer;
+            }
+        });
+    } else if (data.layers !== undefined) {
+        problems.push('"layers" must be an object');
+    }
+
+    let rules;
+    if (Array.isArray(data.rules)) {
+        rules = data.rules.filter((rule, index) => {
+            const problem = validateLayerRule(rule);
+            if (problem) {
+                problems.push(`rules[${index}]: ${problem}`);
+            }
+            return !problem;
+        });
+    } else if (data.rules !== undefined) {
+        problems.push('"rules" must be an array');
+    }
+
+    let dependencyRules;
+    if (Array.isArray(data.dependencyRules)) {
+        dependencyRules = data.dependencyRules.filter((rule, index) => {
+            const problem = validateDependencyRule(rule);
+            if (problem) {
+                problems.push(`dependencyRules[${index}]: ${problem}`);
+            }
+            return !problem;
+        });
+    } else if (data.dependencyRules !== undefined) {
+        problems.push('"dependencyRules" must be an array');
+    }
+
+    let palette;
+    if (isPlainObject(data.palette) && Array.isArray(data.palette.layers)) {
+        const paletteLayers = data.palette.layers.filter((layer, index) => {
+            const problem = validatePaletteLayer(layer);
+            if (problem) {
+                problems.push(`palette.layers[${index}]: ${problem}`);
+            }
+            return !problem;
+        });
+        if (data.palette.name !== undefined && typeof data.palette.name !== 'string') {
+            problems.push('palette.name must be a string');
+        } else if (paletteLayers.length === 0) {
+            problems.push('"palette" has no valid layers');
+        } else {
+            palette = Object.assign({}, data.palette, { layers: paletteLayers });
+        }
+    } else if (data.palette !== undefined) {
+        problems.push('"palette" must be an object with an array of layers');
+    }
+
+    // An invalid palette is dropped instead of kept as-is, it would replace the layers of the team
+    const validData = Object.assign({}, data);
+    delete validData.palette;
+    const handEditedFields = Object.assign({},
+        rules ? { rules } : {},
+        dependencyRules ? { dependencyRules } : {},
+        palette ? { palette } : {}
+    );
+
+    if (!isPlainObject(data.files)) {
+        if (data.files !== undefined) {
+            problems.push('"files" must be an object');
+        }
+        return { data: Object.assign(validData, handEditedFields, { layers, files }), problems };
+    }
+
+    Object.keys(data.files).forEach(filePath => {
+        const fileData = data.files[filePath];
+        if (!isPlainObject(fileData)) {
+            problems.push(`files[${JSON.stringify(filePath)}]: must be an object of layers`);
+            return;
+        }
+
+        const validFile = {};
+        Object.keys(fileData).forEach(layerId => {
+            const location = `files[${JSON.stringify(filePath)}][${JSON.stringify(layerId)}]`;
+            if (!isValidLayerId(layerId)) {
+                problems.push(`${location}: invalid layer id`);
+                return;
+            }
+            if (!Array.isArray(fileData[layerId])) {
+                problems.push(`${location}: must be an array of ranges`);
+                return;
+            }
+
+            const validEntries = [];
+            fileData[layerId].forEach((entry, index) => {
+                const problem = validateHighlightEntry(entry);
+                if (problem) {
+                    problems.push(`${location}[${index}]: ${problem}`);
+                } else {
+                    validEntries.push(entry);
+                }
+            });
+            if (validEntries.length > 0) {
+                validFile[layerId] = validEntries;
+            }
+        });
+
+        if (Object.keys(validFile).length > 0) {
+            files[filePath] = validFile;
+        }
+    });
+
+    return { data: Object.assign(validData, handEditedFields, { layers, files }), problems };
+}
+
+/**
+ * Validates a layer rule from settings or highlights.json
+ * @param {*} rule - Rule to validate
+ * @returns {string|null} Description of the problem, or null if the rule is valid
+ */
+function validateLayerRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'must be an object';
+    }
+    if (typeof rule.layer !== 'string' || !rule.layer) {
+        return 'layer must be a layer id or name';
+    }
+    for (const field of ['name', 'glob', 'pattern', 'flags']) {
+        if (rule[field] !== undefined && typeof rule[field] !== 'string') {
+            return `${field} must be a string`;
+        }
+    }
+    if (rule.languages !== undefined &&
+        (!Array.isArray(rule.languages) || rule.languages.some(language => typeof language !== 'string'))) {
+        return 'languages must be an array of language ids';
+    }
+    if (rule.extend !== undefined && !['match', 'line', 'block'].includes(rule.extend)) {
+        return 'extend must be "match", "line" or "block"';
+    }
+    if (!rule.glob && !rule.pattern && !rule.languages) {
+        return 'needs a glob, a pattern or languages';
+    }
+    if (rule.pattern !== undefined) {
+        try {
+            new RegExp(rule.pattern, (rule.flags || '').replace(/g/g, ''));
+        } catch (error) {
+            return `invalid pattern: ${error.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a layer dependency rule from settings or highlights.json
+ * @param {*} rule - Rule to validate
+ * @returns {string|null} Description of the problem, or null if the rule is valid
+ */
+function validateDependencyRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'must be an object';
+    }
+    if (typeof rule.from !== 'string' || !rule.from) {
+        return 'from must be a layer id or name';
+    }
+    if ((rule.allow === undefined) === (rule.disallow === undefined)) {
+        return 'needs either allow or disallow';
+    }
+    for (const field of ['allow', 'disallow']) {
+        if (rule[field] !== undefined &&
+            (!Array.isArray(rule[field]) || rule[field].some(layer => typeof layer !== 'string' || !layer))) {
+            return `${field} must be an array of layer ids or names`;
+        }
+    }
+    for (const field of ['name', 'message']) {
+        if (rule[field] !== undefined && typeof rule[field] !== 'string') {
+            return `${field} must be a string`;
+        }
+    }
+    if (rule.severity !== undefined && !DEPENDENCY_SEVERITY_NAMES.includes(rule.severity)) {
+        return `severity must be one of ${DEPENDENCY_SEVERITY_NAMES.map(severity => `"${severity}"`).join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Validates a layer of a palette from highlights.json or a palette file
+ * @param {*} layer - Layer to validate
+ * @returns {string|null} Description of the problem, or null if the layer is valid
+ */
+function validatePaletteLayer(layer) {
+    if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+        return 'must be an object';
+    }
+    if (typeof layer.name !== 'string' || !layer.name) {
+        return 'name must be a non-empty string';
+    }
+    if (!isValidColor(layer.color)) {
+        return 'color must be a hex color (#RRGGBB or #RRGGBBAA)';
+    }
+    if (layer.id !== undefined && !isValidLayerId(layer.id)) {
+        return 'invalid layer id';
+    }
+    if (layer.description !== undefined && typeof layer.description !== 'string') {
+        return 'description must be a string';
+    }
+    return null;
+}
+
+/**
+ * Reads a palette from the content of a palette file
+ * Accepts an exported palette ({ name, layers }) or a plain array of layers, and layers
+ * in the codeHighlighter.customColors format, with the color in "value"
+ * @param {*} value - Parsed palette file
+ * @returns {{palette: {name?: string, layers: Object[]}, problems: string[]}} Palette with its valid layers and a description of each skipped layer
+ * @throws {Error} If the value is not a palette or has no valid layer
+ */
+function parsePalette(value) {
+    const source = Array.isArray(value) ? { layers: value } : value;
+    if (!source || typeof source !== 'object' || !Array.isArray(source.layers)) {
+        throw new Error('a palette must be an array of layers or an object with an array of layers');
+    }
+
+    const problems = [];
+    const layers = [];
+    source.layers.forEach((layer, index) => {
+        const problem = validatePaletteLayer(
+            // Layers copied from settings keep their color in "value"
+            layer && typeof layer === 'object' && layer.color === undefined ? Object.assign({}, layer, { color: layer.value }) : layer
+        );
+        if (problem) {
+            problems.push(`layers[${index}]: ${problem}`);
+            return;
+        }
+
+        const paletteLayer = layer.id !== undefined ? { id: layer.id } : {};
+        paletteLayer.name = layer.name;
+        if (layer.description) paletteLayer.description = layer.description;
+        paletteLayer.color = layer.color !== undefined ? layer.color : layer.value;
+        layers.push(paletteLayer);
+    });
+    if (layers.length === 0) {
+        throw new Error('the palette has no valid layers');
+    }
+
+    const palette = typeof source.name === 'string' && source.name ? { name: source.name, layers } : { layers };
+    return { palette, problems };
+}
+
+/**
+ * Validates a single highlight entry
+ * @param {*} entry - Entry to validate
+ * @returns {string|null} Description of the problem, or null if the entry is valid
+ */
+function validateHighlightEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return 'must be an object';
+    }
+
+    for (const field of ['startLine', 'startCharacter', 'endLine', 'endCharacter']) {
+        if (!Number.isInteger(entry[field]) || entry[field] < 0) {
+            return `${field} must be a non-negative integer`;
+        }
+    }
+    if (entry.startLine > entry.endLine ||
+        (entry.startLine === entry.endLine && entry.startCharacter > entry.endCharacter)) {
+        return 'range ends before it starts';
+    }
+
+    for (const field of ['name', 'description', 'note', 'author', 'createdAt', 'updatedAt']) {
+        if (entry[field] !== undefined && typeof entry[field] !== 'string') {
+            return `${field} must be a string`;
+        }
+    }
+    if (entry.tags !== undefined &&
+        (!Array.isArray(entry.tags) || entry.tags.some(tag => typeof tag !== 'string'))) {
+        return 'tags must be an array of strings';
+    }
+    if (entry.symbol !== undefined &&
+        (!entry.symbol || typeof entry.symbol !== 'object' || typeof entry.symbol.kind !== 'string' ||
+            !Array.isArray(entry.symbol.path) || entry.symbol.path.length === 0 ||
+            entry.symbol.path.some(name => typeof name !== 'string'))) {
+        return 'symbol must be an object with a path of names and a kind';
+    }
+    for (const field of ['orphaned', 'auto']) {
+        if (entry[field] !== undefined && typeof entry[field] !== 'boolean') {
+            return `${field} must be a boolean`;
+        }
+    }
+    if (entry.anchor !== undefined &&
+        (!entry.anchor || typeof entry.anchor !== 'object' || typeof entry.anchor.hash !== 'string')) {
+        return 'anchor must be an object with a hash';
+    }
+    return null;
+}
+
+// ============================================================================
+// ANCHOR FUNCTIONS
+// ============================================================================
+
+/**
+ * Removes all whitespace from a text, remembering where each kept character came from
+ * Anchors are compared without whitespace so reformatting does not break them
+ * @param {string} text - Text to strip
+ * @returns {{stripped: string, offsets: number[]}} Stripped text and original offset of each character
+ */
+function stripWhitespace(text) {
+    let stripped = '';
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        if (!/\s/.test(text[i])) {
+            stripped += text[i];
+            offsets.push(i);
+        }
+    }
+    return { stripped, offsets };
+}
+
+/**
+ * Computes the fingerprint of a text, ignoring whitespace
+ * @param {string} text - Text to fingerprint
+ * @returns {string} Short hex hash
+ */
+function hashText(text) {
+    return crypto.createHash('sha1').update(stripWhitespace(text).stripped).digest('hex').substring(0, 16);
+}
+
+/**
+ * Creates the anchor of a highlight: a fingerprint of its text, its first and
+ * last characters and some surrounding context
+ * @param {string} text - Full document text
+ * @param {number} startOffset - Offset where the highlight starts
+ * @param {number} endOffset - Offset where the highlight ends
+ * @returns {{hash: string, size: number, head: string, tail: string, before: string, after: string}} Anchor
+ */
+function createAnchor(text, startOffset, endOffset) {
+    const highlightedText = text.substring(startOffset, endOffset);
+    // Short highlights keep half of their text on each side so a change in the middle can still be found
+    const snippetLength = Math.min(ANCHOR_SNIPPET_LENGTH, Math.ceil(highlightedText.length / 2));
+    return {
+        hash: hashText(highlightedText),
+        size: stripWhitespace(highlightedText).stripped.length,
+        head: highlightedText.substring(0, snippetLength),
+        tail: highlightedText.substring(highlightedText.length - snippetLength),
+        before: text.substring(Math.max(0, startOffset - ANCHOR_CONTEXT_LENGTH), startOffset),
+        after: text.substring(endOffset, endOffset + ANCHOR_CONTEXT_LENGTH)
+    };
+}
+
+/**
+ * Finds where the text of an anchor lives now
+ * Keeps the saved offsets if the text is still there, otherwise searches the
+ * document for the anchor text and scores every candidate by its context and
+ * its distance to the saved position
+ * @param {string} text - Current document text
+ * @param {Object} anchor - Anchor created by createAnchor
+ * @param {number} startOffset - Saved start offset
+ * @param {number} endOffset - Saved end offset
+ * @returns {{startOffset: number, endOffset: number, confidence: number}|null} New location or null if not found with confidence
+ */
+function relocateAnchor(text, anchor, startOffset, endOffset) {
+    if (!anchor || typeof anchor.hash !== 'string') return null;
+
+    // The text is still where it was saved
+    if (startOffset < endOffset && endOffset <= text.length &&
+        hashText(text.substring(startOffset, endOffset)) === anchor.hash) {
+        return { startOffset, endOffset, confidence: 1 };
+    }
+
+    const { stripped, offsets } = stripWhitespace(text);
+    const head = stripWhitespace(anchor.head || '').stripped;
+    const tail = stripWhitespace(anchor.tail || '').stripped;
+    const before = stripWhitespace(anchor.before || '').stripped;
+    const after = stripWhitespace(anchor.after || '').stripped;
+    const size = anchor.size || 0;
+    if (!head || !tail || size === 0) return null;
+
+    const candidates = [];
+    let index = stripped.indexOf(head);
+    while (index !== -1) {
+        const expectedEnd = index + size;
+        let end = -1;
+        let exact = false;
+
+        if (expectedEnd <= stripped.length &&
+            stripped.substring(expectedEnd - tail.length, expectedEnd) === tail &&
+            hashText(stripped.substring(index, expectedEnd)) === anchor.hash) {
+            end = expectedEnd;
+            exact = true;
+        } else {
+            // The highlighted text itself changed: accept a nearby tail
+            let tailIndex = stripped.indexOf(tail, index);
+            while (tailIndex !== -1 && tailIndex <= index + size * 1.5) {
+                const tailEnd = tailIndex + tail.length;
+                if (tailEnd >= index + size * 0.5) {
+                    end = tailEnd;
+                    break;
+                }
+                tailIndex = stripped.indexOf(tail, tailIndex + 1);
+            }
+        }
+
+        if (end !== -1) {
+            let contextScore = 0;
+            if (before && stripped.substring(index - before.length, index) === before) contextScore++;
+            if (after && stripped.substring(end, end + after.length) === after) contextScore++;
+            candidates.push({
+                startOffset: offsets[index],
+                endOffset: offsets[end - 1] + 1,
+                exact,
+                contextScore,
+                distance: Math.abs(offsets[index] - startOffset)
+            });
+        }
+        index = stripped.indexOf(head, index + 1);
+    }
+
+    // Exact text first, then best context, then closest to the saved position
+    candidates.sort((a, b) =>
+        (b.exact - a.exact) || (b.contextScore - a.contextScore) || (a.distance - b.distance)
+    );
+    const best = candidates[0];
+    if (!best) return null;
+
+    if (best.exact) {
+        return { startOffset: best.startOffset, endOffset: best.endOffset, confidence: 1 };
+    }
+
+    // A modified text is only trusted if its context matches and no other candidate is as good
+    const runnerUp = candidates[1];
+    if (best.contextScore === 0 || (runnerUp && runnerUp.contextScore === best.contextScore)) {
+        return null;
+    }
+    return { startOffset: best.startOffset, endOffset: best.endOffset, confidence: 0.5 + best.contextScore * 0.25 };
+}
+
+/**
+ * Finds where a saved highlight entry lives in the current text of its file
+ * Entries without an anchor, or whose file text is unknown, keep their saved range
+ * @param {Object} entry - Highlight entry of highlights.json
+ * @param {string|null} fileText - Current text of the file, or null if it cannot be read
+ * @param {number[]} [lineOffsets] - Line offsets of fileText, computed if omitted
+ * @returns {{start: {line: number, character: number}, end: {line: number, character: number}, orphaned: boolean}}
+ *   Current range, and whether the anchor could not be found in the text
+ */
+function relocateHighlightEntry(entry, fileText, lineOffsets) {
+    const start = { line: entry.startLine, character: entry.startCharacter };
+    const end = { line: entry.endLine, character: entry.endCharacter };
+    if (!entry.anchor || fileText === null) {
+        return { start, end, orphaned: false };
+    }
+
+    const offsets = lineOffsets || getLineOffsets(fileText);
+    const location = relocateAnchor(
+        fileText,
+        entry.anchor,
+        positionToOffset(offsets, entry.startLine, entry.startCharacter),
+        positionToOffset(offsets, entry.endLine, entry.endCharacter)
+    );
+    if (!location) {
+        return { start, end, orphaned: true };
+    }
+    return {
+        start: offsetToPosition(offsets, location.startOffset),
+        end: offsetToPosition(offsets, location.endOffset),
+        orphaned: false
+    };
+}
+
+/**
+ * Counts the anchored entries of a file that can be found in a text
+ * Used to tell which file a file moved outside the editor became
+ * @param {Object} fileData - Highlights of the file by layer id
+ * @param {string} fileText - Text to look in
+ * @returns {number} Number of entries whose anchor is found
+ */
+function countRelocatedEntries(fileData, fileText) {
+    const lineOffsets = getLineOffsets(fileText);
+    let count = 0;
+    Object.keys(fileData).forEach(layerId => {
+        fileData[layerId].forEach(entry => {
+            if (entry.anchor && !relocateHighlightEntry(entry, fileText, lineOffsets).orphaned) {
+                count++;
+            }
+        });
+    });
+    return count;
+}
+
+/**
+ * Converts a highlight into its highlights.json entry
+ * The anchor is taken as-is, callers refresh it first when the text is known
+ * @param {{range: {start: {line: number, character: number}, end: {line: number, character: number}},
+ *   anchor?: Object, orphaned?: boolean, auto?: boolean}} highlight - Highlight with its range and properties
+ * @returns {Object} Highlight entry
+ */
+function toHighlightEntry(highlight) {
+    const entry = {
+        startLine: highlight.range.start.line,
+        startCharacter: highlight.range.start.character,
+        endLine: highlight.range.end.line,
+        endCharacter: highlight.range.end.character
+    };
+
+    if (highlight.anchor) {
+        entry.anchor = highlight.anchor;
+    }
+    if (highlight.orphaned) {
+        entry.orphaned = true;
+    }
+    if (highlight.auto) {
+        entry.auto = true;
+    }
+    HIGHLIGHT_METADATA_FIELDS.forEach(field => {
+        if (highlight[field] !== undefined) {
+            entry[field] = highlight[field];
+        }
+    });
+    return entry;
+}
+
+/**
+ * Computes the offset where each line of a text starts
+ * @param {string} text - Text to index
+ * @returns {number[]} Start offset of every line
+ */
+function getLineOffsets(text) {
+    const lineOffsets = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            lineOffsets.push(i + 1);
+        }
+    }
+    return lineOffsets;
+}
+
+/**
+ * Converts a line/character position into an offset
+ * @param {number[]} lineOffsets - Line offsets from getLineOffsets
+ * @param {number} line - Zero-based line
+ * @param {number} character - Zero-based character
+ * @returns {number} Offset in the text
+ */
+function positionToOffset(lineOffsets, line, character) {
+    if (line >= lineOffsets.length) {
+        return lineOffsets[lineOffsets.length - 1];
+    }
+    return lineOffsets[Math.max(0, line)] + Math.max(0, character);
+}
+
+/**
+ * Converts an offset into a line/character position
+ * @param {number[]} lineOffsets - Line offsets from getLineOffsets
+ * @param {number} offset - Offset in the text
+ * @returns {{line: number, character: number}} Position
+ */
+function offsetToPosition(lineOffsets, offset) {
+    let low = 0;
+    let high = lineOffsets.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (lineOffsets[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return { line: low, character: offset - lineOffsets[low] };
+}
+
+// ============================================================================
+// MERGE FUNCTIONS
+// ============================================================================
+
+/**
+ * Three-way merges highlights.json data
+ * Per file, a side that did not change since the base gives way to the other side.
+ * When both changed the same file, highlights are merged per layer: highlights
+ * added by either side are kept and highlights removed by either side are dropped
+ * Layers are the union of both sides, the disk side winning for layers defined on both
+ * @param {{files: Object}} base - Data both sides started from
+ * @param {{layers: Object, files: Object}} ours - In-memory data
+ * @param {{layers: Object, files: Object}} theirs - Data on disk
+ * @returns {{data: {layers: Object, files: Object}, conflictingFiles: string[]}} Merged data and files changed on both sides
+ */
+function mergeHighlightsData(base, ours, theirs) {
+    const files = {};
+    const conflictingFiles = [];
+    const filePaths = new Set([...Object.keys(ours.files), ...Object.keys(theirs.files)]);
+
+    filePaths.forEach(filePath => {
+        const baseFile = base.files[filePath] || {};
+        const ourFile = ours.files[filePath] || {};
+        const theirFile = theirs.files[filePath] || {};
+
+        let mergedFile;
+        if (stableStringify(ourFile) === stableStringify(baseFile)) {
+            mergedFile = theirFile;
+        } else if (stableStringify(theirFile) === stableStringify(baseFile)) {
+            mergedFile = ourFile;
+        } else {
+            conflictingFiles.push(filePath);
+            mergedFile = {};
+            const layerIds = new Set([...Object.keys(ourFile), ...Object.keys(theirFile)]);
+            layerIds.forEach(layerId => {
+                const entries = mergeHighlightEntries(baseFile[layerId] || [], ourFile[layerId] || [], theirFile[layerId] || []);
+                if (entries.length > 0) {
+                    mergedFile[layerId] = entries;
+                }
+            });
+        }
+
+        if (Object.keys(mergedFile).length > 0) {
+            files[filePath] = mergedFile;
+        }
+    });
+
+    const layers = Object.assign({}, ours.layers, theirs.layers);
+    return { data: Object.assign({}, theirs, { layers, files }), conflictingFiles };
+}
+
+/**
+ * Three-way merges the highlight entries of one layer in one file
+ * Entries are identified by their range
+ * @param {Object[]} baseEntries - Entries both sides started from
+ * @param {Object[]} ourEntries - In-memory entries
+ * @param {Object[]} theirEntries - Entries on disk
+ * @returns {Object[]} Merged entries
+ */
+function mergeHighlightEntries(baseEntries, ourEntries, theirEntries) {
+    const baseMap = new Map(baseEntries.map(entry => [getEntryKey(entry), entry]));
+    const theirMap = new Map(theirEntries.map(entry => [getEntryKey(entry), entry]));
+    const ourMap = new Map(ourEntries.map(entry => [getEntryKey(entry), entry]));
+    const merged = [];
+
+    ourMap.forEach((ourEntry, key) => {
+        const theirEntry = theirMap.get(key);
+        if (theirEntry) {
+            // Both have it: keep whichever side changed its metadata
+            const baseEntry = baseMap.get(key);
+            const ourSideChanged = !baseEntry || stableStringify(ourEntry) !== stableStringify(baseEntry);
+            merged.push(ourSideChanged ? ourEntry : theirEntry);
+        } else if (!baseMap.has(key)) {
+            // Added on our side
+            merged.push(ourEntry);
+        }
+    });
+
+    theirMap.forEach((theirEntry, key) => {
+        if (!ourMap.has(key) && !baseMap.has(key)) {
+            // Added on their side
+            merged.push(theirEntry);
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Gets the key that identifies a highlight entry by its range
+ * @param {{startLine: number, startCharacter: number, endLine: number, endCharacter: number}} entry - Highlight entry
+ * @returns {string} Range key
+ */
+function getEntryKey(entry) {
+    return `${entry.startLine}:${entry.startCharacter}-${entry.endLine}:${entry.endCharacter}`;
+}
+
+/**
+ * Serializes a value to JSON with sorted object keys, so equal data compares equal
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// ============================================================================
+// CONFLICT FUNCTIONS
+// ============================================================================
+
+/**
+ * Checks whether a text has git conflict markers
+ * @param {string} text - File text
+ * @returns {boolean} True if the text has at least one conflict
+ */
+function hasConflictMarkers(text) {
+    return text.split('\n').some(line => getConflictMarker(line) === '<');
+}
+
+/**
+ * Rebuilds the versions of a file that git merged as text and left conflict markers in
+ * Lines outside the conflicts belong to every version
+ * @param {string} text - File text with conflict markers
+ * @returns {{ours: string, theirs: string, base: string|null, oursLabel: string, theirsLabel: string}}
+ *   Text of each side, the base text (null unless the conflicts have diff3 base sections) and the side labels
+ * @throws {Error} If a conflict is not closed or its markers are out of order
+ */
+function splitConflictMarkers(text) {
+    const versions = { ours: [], theirs: [], base: [] };
+    let hasBase = false;
+    let oursLabel = 'ours';
+    let theirsLabel = 'theirs';
+    // null outside a conflict, then 'ours', 'base' and 'theirs' in the order git writes them
+    let section = null;
+
+    text.split('\n').forEach((line, index) => {
+        const marker = getConflictMarker(line);
+        const label = marker ? line.substring(CONFLICT_MARKER_LENGTH).trim() : '';
+        const expected = { '<': [null], '|': ['ours'], '=': ['ours', 'base'], '>': ['theirs'] }[marker];
+        if (expected && !expected.includes(section)) {
+            throw new Error(`unexpected conflict marker on line ${index + 1}`);
+        }
+
+        if (marker === '<') {
+            section = 'ours';
+            if (label) oursLabel = label;
+        } else if (marker === '|') {
+            section = 'base';
+            hasBase = true;
+        } else if (marker === '=') {
+            section = 'theirs';
+        } else if (marker === '>') {
+            section = null;
+            if (label) theirsLabel = label;
+        } else if (section === null) {
+            versions.ours.push(line);
+            versions.theirs.push(line);
+            versions.base.push(line);
+        } else {
+            versions[section].push(line);
+        }
+    });
+
+    if (section !== null) {
+        throw new Error('conflict marker not closed at the end of the file');
+    }
+    return {
+        ours: versions.ours.join('\n'),
+        theirs: versions.theirs.join('\n'),
+        base: hasBase ? versions.base.join('\n') : null,
+        oursLabel,
+        theirsLabel
+    };
+}
+
+/**
+ * Gets the kind of conflict marker a line is
+ * @param {string} line - Line of text
+ * @returns {string|null} '<', '|', '=' or '>', or null if the line is not a marker
+ */
+function getConflictMarker(line) {
+    const match = /^(<{7}|\|{7}|={7}|>{7})(?:[ \r]|$)/.exec(line);
+    return match ? match[1][0] : null;
+}
+
+/**
+ * Writes two versions of a file as one text with conflict markers
+ * The lines both versions start and end with stay outside the markers
+ * @param {string} oursText - Our version
+ * @param {string} theirsText - Their version
+ * @param {{ours?: string, theirs?: string}} [labels] - Labels written after the markers
+ * @returns {string} Text with one conflict, or our text if both versions are equal
+ */
+function formatConflictMarkers(oursText, theirsText, labels) {
+    if (oursText === theirsText) return oursText;
+
+    const oursLines = oursText.split('\n');
+    const theirsLines = theirsText.split('\n');
+    let prefix = 0;
+    while (prefix < oursLines.length && prefix < theirsLines.length && oursLines[prefix] === theirsLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oursLines.length - prefix && suffix < theirsLines.length - prefix &&
+        oursLines[oursLines.length - 1 - suffix] === theirsLines[theirsLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const marker = (character, label) => character.repeat(CONFLICT_MARKER_LENGTH) + (label ? ` ${label}` : '');
+    return [
+        ...oursLines.slice(0, prefix),
+        marker('<', (labels && labels.ours) || 'ours'),
+        ...oursLines.slice(prefix, oursLines.length - suffix),
+        marker('='),
+        ...theirsLines.slice(prefix, theirsLines.length - suffix),
+        marker('>', (labels && labels.theirs) || 'theirs'),
+        ...oursLines.slice(oursLines.length - suffix)
+    ].join('\n');
+}
+
+/**
+ * Three-way merges two branches of highlights.json
+ * Highlights are merged like mergeHighlightsData does. The hand-edited fields (rules,
+ * dependency rules, palette) take the side that changed them. Conflicts are left in
+ * the merged data and listed:
+ * - a range highlighted in different layers on each side; the merged data keeps both layers
+ * - a hand-edited field changed differently on each side; the merged data keeps ours
+ * @param {{files: Object}} base - Common ancestor, { files: {} } if there is none
+ * @param {{layers: Object, files: Object}} ours - Our branch
+ * @param {{layers: Object, files: Object}} theirs - Their branch
+ * @returns {{data: Object, conflicts: Object[]}} Merged data and conflicts, either
+ *   { filePath, range, oursLayerIds, theirsLayerIds } or { field, ours, theirs }
+ */
+function mergeHighlightsBranches(base, ours, theirs) {
+    const { data } = mergeHighlightsData(base, ours, theirs);
+    const conflicts = [];
+
+    Object.keys(data.files).forEach(filePath => {
+        const mergedRanges = getRangeLayers(data.files[filePath]);
+        const ourRanges = getRangeLayers(ours.files[filePath] || {});
+        const theirRanges = getRangeLayers(theirs.files[filePath] || {});
+
+        mergedRanges.forEach(({ entry, layerIds }, key) => {
+            const ourLayerIds = ourRanges.has(key) ? ourRanges.get(key).layerIds : [];
+            const theirLayerIds = theirRanges.has(key) ? theirRanges.get(key).layerIds : [];
+            const oursOnly = layerIds.filter(layerId => ourLayerIds.includes(layerId) && !theirLayerIds.includes(layerId));
+            const theirsOnly = layerIds.filter(layerId => theirLayerIds.includes(layerId) && !ourLayerIds.includes(layerId));
+            if (oursOnly.length > 0 && theirsOnly.length > 0) {
+                conflicts.push({
+                    filePath,
+                    range: {
+                        startLine: entry.startLine,
+                        startCharacter: entry.startCharacter,
+                        endLine: entry.endLine,
+                        endCharacter: entry.endCharacter
+                    },
+                    oursLayerIds: oursOnly,
+                    theirsLayerIds: theirsOnly
+                });
+            }
+        });
+    });
+
+    HAND_EDITED_FIELDS.forEach(field => {
+        const baseValue = stableStringify(base[field]);
+        const ourValue = stableStringify(ours[field]);
+        const theirValue = stableStringify(theirs[field]);
+        const value = ourValue === baseValue ? theirs[field] : ours[field];
+        if (ourValue !== baseValue && theirValue !== baseValue && ourValue !== theirValue) {
+            conflicts.push({ field, ours: ours[field], theirs: theirs[field] });
+        }
+
+        if (value === undefined) {
+            delete data[field];
+        } else {
+            data[field] = value;
+        }
+    });
+
+    return { data, conflicts };
+}
+
+/**
+ * Applies a resolution to the conflicts of mergeHighlightsBranches
+ * A range conflict keeps the layers of one side or of both, a field conflict keeps one side's value
+ * @param {Object} data - Merged data
+ * @param {Object[]} conflicts - Conflicts of the merge
+ * @param {string[]} choices - 'ours', 'theirs' or 'both' for each conflict ('both' only for ranges)
+ * @returns {Object} Resolved data; the merged data is not changed
+ */
+function resolveMergeConflicts(data, conflicts, choices) {
+    const files = JSON.parse(JSON.stringify(data.files));
+    const resolved = Object.assign({}, data, { files });
+
+    conflicts.forEach((conflict, index) => {
+        const choice = choices[index];
+        if (conflict.field) {
+            const value = choice === 'theirs' ? conflict.theirs : conflict.ours;
+            if (value === undefined) {
+                delete resolved[conflict.field];
+            } else {
+                resolved[conflict.field] = value;
+            }
+            return;
+        }
+        if (choice === 'both') return;
+
+        const key = getEntryKey(conflict.range);
+        const file = files[conflict.filePath];
+        const droppedLayerIds = choice === 'theirs' ? conflict.oursLayerIds : conflict.theirsLayerIds;
+        droppedLayerIds.forEach(layerId => {
+            file[layerId] = file[layerId].filter(entry => getEntryKey(entry) !== key);
+            if (file[layerId].length === 0) {
+                delete file[layerId];
+            }
+        });
+        if (Object.keys(file).length === 0) {
+            delete files[conflict.filePath];
+        }
+    });
+
+    return resolved;
+}
+
+/**
+ * Groups the highlights of a file by range
+ * @param {Object} fileData - Highlights of the file by layer id
+ * @returns {Map<string, {entry: Object, layerIds: string[]}>} First entry and layers of each range, by range key
+ */
+function getRangeLayers(fileData) {
+    const ranges = new Map();
+    Object.keys(fileData).forEach(layerId => {
+        fileData[layerId].forEach(entry => {
+            const key = getEntryKey(entry);
+            if (!ranges.has(key)) {
+                ranges.set(key, { entry, layerIds: [] });
+            }
+            if (!ranges.get(key).layerIds.includes(layerId)) {
+                ranges.get(key).layerIds.push(layerId);
+            }
+        });
+    });
+    return ranges;
+}
+
+// ============================================================================
+// WORKSPACE FUNCTIONS
+// ============================================================================
+
+/**
+ * Converts a path relative to the workspace to the key used in highlights.json
+ * Keys always use forward slashes, so a highlights.json written on Windows works on every platform
+ * @param {string} filePath - Relative path with forward slashes or backslashes
+ * @returns {string} Relative path with forward slashes
+ */
+function normalizeWorkspacePath(filePath) {
+    return filePath.split(/[\\/]/).join('/');
+}
+
+/**
+ * Resolves a highlights.json key to an absolute path
+ * Keys written with backslashes by older versions on Windows are accepted too
+ * @param {string} root - Workspace folder path
+ * @param {string} filePath - Path relative to the workspace folder
+ * @returns {string} Absolute path
+ */
+function resolveWorkspacePath(root, filePath) {
+    return path.resolve(root, ...filePath.split(/[\\/]/));
+}
+
+/**
+ * Lists every highlight entry of highlights.json data, sorted by file and position
+ * @param {{files: Object}} data - Highlights data
+ * @returns {Array<{filePath: string, layerId: string, index: number, entry: Object}>} Entries with their file and layer
+ */
+function getHighlightEntries(data) {
+    const entries = [];
+    Object.keys(data.files).forEach(filePath => {
+        Object.keys(data.files[filePath]).forEach(layerId => {
+            data.files[filePath][layerId].forEach((entry, index) => {
+                entries.push({ filePath, layerId, index, entry });
+            });
+        });
+    });
+    return entries.sort((a, b) =>
+        (a.filePath < b.filePath ? -1 : a.filePath > b.filePath ? 1 : 0) ||
+        a.entry.startLine - b.entry.startLine ||
+        a.entry.startCharacter - b.entry.startCharacter
+    );
+}
+
+/**
+ * Checks the highlights of highlights.json data against the files of the workspace
+ * Reports files that no longer exist, ranges past the end of their file and
+ * anchors that cannot be found in the current code
+ * @param {{files: Object}} data - Highlights data
+ * @param {function(string): (string|null)} readFileText - Reads a file by its path relative to the workspace, null if missing
+ * @returns {Array<{filePath: string, layerId?: string, index?: number, problem: string}>} Problems found
+ */
+function findStaleHighlights(data, readFileText) {
+    const problems = [];
+
+    Object.keys(data.files).sort().forEach(filePath => {
+        const fileText = readFileText(filePath);
+        if (fileText === null) {
+            problems.push({ filePath, problem: 'file does not exist' });
+            return;
+        }
+
+        const lineOffsets = getLineOffsets(fileText);
+        Object.keys(data.files[filePath]).forEach(layerId => {
+            data.files[filePath][layerId].forEach((entry, index) => {
+                const location = relocateHighlightEntry(entry, fileText, lineOffsets);
+                if (location.orphaned) {
+                    problems.push({ filePath, layerId, index, problem: 'anchored code not found' });
+                    return;
+                }
+                const endLine = location.end.line;
+                if (endLine >= lineOffsets.length) {
+                    problems.push({ filePath, layerId, index, problem: `range ends on line ${endLine + 1}, the file has ${lineOffsets.length} line(s)` });
+                    return;
+                }
+                const lineEnd = endLine + 1 < lineOffsets.length ? lineOffsets[endLine + 1] - 1 : fileText.length;
+                if (lineOffsets[endLine] + location.end.character > lineEnd) {
+                    problems.push({ filePath, layerId, index, problem: `range ends after the end of line ${endLine + 1}` });
+                }
+            });
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Removes the highlights of files that no longer exist
+ * The layers table is trimmed to the layers still in use
+ * @param {{layers?: Object, files: Object}} data - Highlights data
+ * @param {function(string): boolean} fileExists - Checks a file by its path relative to the workspace
+ * @returns {{data: Object, removedFiles: string[]}} Data without the missing files and the removed paths
+ */
+function pruneMissingFiles(data, fileExists) {
+    const files = {};
+    const removedFiles = [];
+    Object.keys(data.files).forEach(filePath => {
+        if (fileExists(filePath)) {
+            files[filePath] = data.files[filePath];
+        } else {
+            removedFiles.push(filePath);
+        }
+    });
+
+    const usedLayerIds = new Set();
+    Object.keys(files).forEach(filePath => Object.keys(files[filePath]).forEach(layerId => usedLayerIds.add(layerId)));
+    const layers = {};
+    Object.keys(data.layers || {}).forEach(layerId => {
+        if (usedLayerIds.has(layerId)) {
+            layers[layerId] = data.layers[layerId];
+        }
+    });
+
+    return { data: Object.assign({}, data, { layers, files }), removedFiles };
+}
+
+// ============================================================================
+// REPORT FUNCTIONS
+// ============================================================================
+
+/**
+ * Builds the architecture report of the given workspace folders
+ * Uses the highlights.json data of each folder, plus the highlighted code
+ * @param {Array<{name: string, root: string, data: {files: Object}}>} folders - Workspace folders and their highlights data
+ * @param {{getLayer: function(string): {name: string, description?: string, value: string},
+ *   readFileText: function(string): (string|null)}} options - Resolves a layer by id and reads a file by its absolute path
+ * @returns {{generatedAt: string, totalHighlights: number, totalLines: number, layers: Object[]}} Report grouped by layer and file
+ */
+function buildArchitectureReport(folders, options) {
+    const layers = new Map();
+    const prefixFolder = folders.length > 1;
+    let totalHighlights = 0;
+    let totalLines = 0;
+
+    folders.forEach(folder => {
+        const data = folder.data;
+        Object.keys(data.files).sort().forEach(relativePath => {
+            const fileText = options.readFileText(resolveWorkspacePath(folder.root, relativePath));
+            const fileLines = fileText !== null ? fileText.split(/\r?\n/) : null;
+            const displayPath = prefixFolder ? `${folder.name}/${relativePath}` : relativePath;
+
+            Object.keys(data.files[relativePath]).forEach(layerId => {
+                if (!layers.has(layerId)) {
+                    const layer = options.getLayer(layerId);
+                    layers.set(layerId, {
+                        id: layerId,
+                        name: layer.name,
+                        description: layer.description || '',
+                        color: layer.value,
+                        totalLines: 0,
+                        totalHighlights: 0,
+                        files: []
+                    });
+                }
+                const reportLayer = layers.get(layerId);
+
+                const highlights = data.files[relativePath][layerId]
+                    .slice()
+                    .sort((a, b) => a.startLine - b.startLine || a.startCharacter - b.startCharacter)
+                    .map(entry => {
+                        const lineCount = countHighlightLines(entry);
+                        reportLayer.totalLines += lineCount;
+                        totalLines += lineCount;
+                        return {
+                            startLine: entry.startLine + 1,
+                            endLine: entry.startLine + lineCount,
+                            lineCount,
+                            excerpt: fileLines ? getReportExcerpt(fileLines, entry) : '',
+                            note: entry.note || '',
+                            tags: entry.tags || [],
+                            author: entry.author || '',
+                            orphaned: !!entry.orphaned
+                        };
+                    });
+
+                reportLayer.totalHighlights += highlights.length;
+                totalHighlights += highlights.length;
+                reportLayer.files.push({ path: displayPath, highlights });
+            });
+        });
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        totalHighlights,
+        totalLines,
+        layers: Array.from(layers.values()).sort((a, b) => b.totalLines - a.totalLines)
+    };
+}
+
+/**
+ * Builds the layer coverage statistics of the given workspace folders
+ * A line is covered when a highlight of any layer covers part of it. Only the
+ * listed files count: orphaned highlights and highlights of files missing from
+ * the list are left out
+ * @param {Array<{name: string, data: {files: Object}, files: Array<{path: string, lineCount: number}>}>} folders -
+ *   Workspace folders, their highlights data and their files with line counts
+ * @param {{getLayer: function(string): {name: string, value: string}}} options - Resolves a layer by id
+ * @returns {{totalLines: number, coveredLines: number, percent: number, layers: Object[], folders: Object[], files: Object[]}}
+ *   Totals; layers with their highlights, covered lines and touched files; folders and files with their coverage
+ */
+function buildCoverageReport(folders, options) {
+    const layers = new Map();
+    const directories = new Map();
+    const files = [];
+    const prefixFolder = folders.length > 1;
+
+    folders.forEach(folder => {
+        // Paths may use either separator, the report always uses forward slashes
+        const fileDataByPath = new Map();
+        Object.keys(folder.data.files).forEach(filePath => {
+            fileDataByPath.set(normalizeWorkspacePath(filePath), folder.data.files[filePath]);
+        });
+
+        folder.files.forEach(file => {
+            const filePath = normalizeWorkspacePath(file.path);
+            const fileData = fileDataByPath.get(filePath) || {};
+            const coveredLines = new Set();
+            const fileLayerIds = [];
+
+            Object.keys(fileData).forEach(layerId => {
+                const entries = fileData[layerId].filter(entry => !entry.orphaned);
+                if (entries.length === 0) return;
+
+                const layerLines = new Set();
+                entries.forEach(entry => {
+                    const lastLine = Math.min(entry.startLine + countHighlightLines(entry), file.lineCount);
+                    for (let line = entry.startLine; line < lastLine; line++) {
+                        layerLines.add(line);
+                        coveredLines.add(line);
+                    }
+                });
+
+                if (!layers.has(layerId)) {
+                    const layer = options.getLayer(layerId);
+                    layers.set(layerId, { id: layerId, name: layer.name, color: layer.value, highlights: 0, lines: 0, files: 0 });
+                }
+                const coverageLayer = layers.get(layerId);
+                coverageLayer.highlights += entries.length;
+                coverageLayer.lines += layerLines.size;
+                coverageLayer.files++;
+                fileLayerIds.push(layerId);
+            });
+
+            const displayPath = prefixFolder ? `${folder.name}/${filePath}` : filePath;
+            files.push({
+                path: displayPath,
+                totalLines: file.lineCount,
+                coveredLines: coveredLines.size,
+                percent: getCoveragePercent(coveredLines.size, file.lineCount),
+                layers: fileLayerIds
+            });
+
+            // Roll the file up into every folder above it, '' being the workspace root
+            const parts = displayPath.split('/');
+            for (let depth = 0; depth < parts.length; depth++) {
+                const directoryPath = parts.slice(0, depth).join('/');
+                if (!directories.has(directoryPath)) {
+                    directories.set(directoryPath, { path: directoryPath, totalLines: 0, coveredLines: 0, files: 0, unclassifiedFiles: 0 });
+                }
+                const directory = directories.get(directoryPath);
+                directory.totalLines += file.lineCount;
+                directory.coveredLines += coveredLines.size;
+                directory.files++;
+                if (coveredLines.size === 0) directory.unclassifiedFiles++;
+            }
+        });
+    });
+
+    const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+    const root = directories.get('') || { totalLines: 0, coveredLines: 0 };
+    return {
+        totalLines: root.totalLines,
+        coveredLines: root.coveredLines,
+        percent: getCoveragePercent(root.coveredLines, root.totalLines),
+        layers: Array.from(layers.values())
+            .map(layer => Object.assign(layer, { percent: getCoveragePercent(layer.lines, root.totalLines) }))
+            .sort((a, b) => b.lines - a.lines),
+        folders: Array.from(directories.values())
+            .map(directory => Object.assign(directory, { percent: getCoveragePercent(directory.coveredLines, directory.totalLines) }))
+            .sort(byPath),
+        files: files.sort(byPath)
+    };
+}
+
+/**
+ * Computes a coverage percentage with one decimal
+ * @param {number} covered - Covered lines
+ * @param {number} total - Total lines
+ * @returns {number} Percentage, 0 when there are no lines
+ */
+function getCoveragePercent(covered, total) {
+    return total > 0 ? Math.round(covered * 1000 / total) / 10 : 0;
+}
+
+/**
+ * Counts the lines of a text, as coverage counts them
+ * A final line break does not start another line
+ * @param {string} text - File text
+ * @returns {number} Number of lines
+ */
+function countTextLines(text) {
+    if (text === '') return 0;
+    const lineCount = getLineOffsets(text).length;
+    return text.endsWith('\n') ? lineCount - 1 : lineCount;
+}
+
+/**
+ * Counts the lines covered by a highlight
+ * A highlight ending at the first character of a line does not cover that line
+ * @param {{startLine: number, endLine: number, endCharacter: number}} entry - Highlight entry
+ * @returns {number} Number of lines
+ */
+function countHighlightLines(entry) {
+    const lastLine = entry.endLine > entry.startLine && entry.endCharacter === 0 ? entry.endLine - 1 : entry.endLine;
+    return lastLine - entry.startLine + 1;
+}
+
+/**
+ * Gets the code of a highlight for a report, cut to REPORT_EXCERPT_MAX_LINES lines
+ * @param {string[]} fileLines - Lines of the file
+ * @param {Object} entry - Highlight entry
+ * @returns {string} Highlighted code
+ */
+function getReportExcerpt(fileLines, entry) {
+    const lineCount = countHighlightLines(entry);
+    const excerptLines = [];
+    for (let line = entry.startLine; line < entry.startLine + Math.min(lineCount, REPORT_EXCERPT_MAX_LINES); line++) {
+        if (line >= fileLines.length) break;
+        let text = fileLines[line];
+        if (line === entry.endLine) text = text.substring(0, entry.endCharacter);
+        if (line === entry.startLine) text = text.substring(entry.startCharacter);
+        excerptLines.push(text);
+    }
+    if (lineCount > REPORT_EXCERPT_MAX_LINES) {
+        excerptLines.push(`... (${lineCount - REPORT_EXCERPT_MAX_LINES} more lines)`);
+    }
+    return excerptLines.join('\n');
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    HIGHLIGHTS_SCHEMA_VERSION,
+    HIGHLIGHT_METADATA_FIELDS,
+    HAND_EDITED_FIELDS,
+    DEPENDENCY_SEVERITY_NAMES,
+    isValidColor,
+    isValidLayerId,
+    slugifyLayerName,
+    readHighlightsFile,
+    parseHighlightsText,
+    migrateHighlightsData,
+    validateHighlightsData,
+    validateLayerRule,
+    validateDependencyRule,
+    validatePaletteLayer,
+    validateHighlightEntry,
+    parsePalette,
+    hashText,
+    createAnchor,
+    relocateAnchor,
+    relocateHighlightEntry,
+    countRelocatedEntries,
+    toHighlightEntry,
+    getLineOffsets,
+    positionToOffset,
+    offsetToPosition,
+    mergeHighlightsData,
+    stableStringify,
+    hasConflictMarkers,
+    splitConflictMarkers,
+    formatConflictMarkers,
+    mergeHighlightsBranches,
+    resolveMergeConflicts,
+    normalizeWorkspacePath,
+    resolveWorkspacePath,
+    getHighlightEntries,
+    findStaleHighlights,
+    pruneMissingFiles,
+    buildArchitectureReport,
+    buildCoverageReport,
+    countTextLines,
+    countHighlightLines
+};
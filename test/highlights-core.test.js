@@ -0,0 +1,451 @@
+/**
+ * Tests of the Code Highlighter core
+ *
+ * Run with `npm test` (Node's built-in test runner).
+ *
+ * @author AmazingCrab
+ */
+
+const { describe, it } = require('node:test');
+const path = require('path');
+const assert = require('node:assert/strict');
+const highlightsCore = require('../lib/highlights-core');
+
+const MODEL_LAYER = { id: 'model', name: 'Model Layer', value: '#00FFAA50', description: 'Data models' };
+
+/**
+ * Builds a highlight entry of highlights.json
+ * @param {number} startLine - Start line
+ * @param {number} startCharacter - Start character
+ * @param {number} endLine - End line
+ * @param {number} endCharacter - End character
+ * @param {Object} [extra] - Other fields of the entry
+ * @returns {Object} Highlight entry
+ */
+function entry(startLine, startCharacter, endLine, endCharacter, extra) {
+    return Object.assign({ startLine, startCharacter, endLine, endCharacter }, extra);
+}
+
+/**
+ * Builds an anchored entry for the text between two offsets of a document
+ * @param {string} text - Document text
+ * @param {number} startOffset - Offset where the highlight starts
+ * @param {number} endOffset - Offset where the highlight ends
+ * @returns {Object} Highlight entry with its anchor
+ */
+function anchoredEntry(text, startOffset, endOffset) {
+    const lineOffsets = highlightsCore.getLineOffsets(text);
+    const start = highlightsCore.offsetToPosition(lineOffsets, startOffset);
+    const end = highlightsCore.offsetToPosition(lineOffsets, endOffset);
+    return entry(start.line, start.character, end.line, end.character, {
+        anchor: highlightsCore.createAnchor(text, startOffset, endOffset)
+    });
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+describe('migrateHighlightsData', () => {
+    it('upgrades unversioned data keyed by color to layer ids', () => {
+        const { data, migratedFrom } = highlightsCore.migrateHighlightsData({
+            files: {
+                'src/user.js': {
+                    '#00FFAA50': [entry(0, 0, 2, 1, { name: 'Model Layer', note: 'entity' })],
+                    '#FF000050': [entry(4, 0, 4, 9, { name: 'Legacy Code', description: 'Old stuff' })]
+                }
+            }
+        }, { layers: [MODEL_LAYER] });
+
+        assert.equal(migratedFrom, 1);
+        assert.equal(data.version, highlightsCore.HIGHLIGHTS_SCHEMA_VERSION);
+        assert.deepEqual(data.layers, {
+            model: { name: 'Model Layer', color: '#00FFAA50', description: 'Data models' },
+            'legacy-code': { name: 'Legacy Code', color: '#FF000050', description: 'Old stuff' }
+        });
+        assert.deepEqual(data.files['src/user.js'], {
+            model: [entry(0, 0, 2, 1, { note: 'entity' })],
+            'legacy-code': [entry(4, 0, 4, 9)]
+        });
+    });
+
+    it('matches a configured layer by name when its color changed', () => {
+        const { data } = highlightsCore.migrateHighlightsData({
+            version: 2,
+            files: { 'a.js': { '#123456': [entry(0, 0, 0, 1, { name: 'Model Layer' })] } }
+        }, { layers: [MODEL_LAYER] });
+
+        assert.deepEqual(Object.keys(data.files['a.js']), ['model']);
+        assert.equal(data.layers.model.color, '#123456');
+    });
+
+    it('does not give a new layer the id of an unrelated configured layer', () => {
+        const { data } = highlightsCore.migrateHighlightsData({
+            version: 2,
+            files: { 'a.js': { '#ABCDEF': [entry(0, 0, 0, 1, { name: 'model' })] } }
+        }, { layers: [{ id: 'model', name: 'Other', value: '#000000' }] });
+
+        assert.deepEqual(Object.keys(data.files['a.js']), ['model-abcdef']);
+    });
+
+    it('merges two colors that end up in the same layer', () => {
+        const { data } = highlightsCore.migrateHighlightsData({
+            version: 2,
+            files: {
+                'a.js': {
+                    '#00FFAA50': [entry(0, 0, 0, 1)],
+                    '#00ffaa50': [entry(1, 0, 1, 1)]
+                }
+            }
+        }, { layers: [MODEL_LAYER] });
+
+        assert.deepEqual(data.files['a.js'].model, [entry(0, 0, 0, 1), entry(1, 0, 1, 1)]);
+    });
+
+    it('leaves current data alone', () => {
+        const current = { version: 3, layers: {}, files: {} };
+        const { data, migratedFrom } = highlightsCore.migrateHighlightsData(current);
+
+        assert.equal(data, current);
+        assert.equal(migratedFrom, null);
+    });
+
+    it('is applied by parseHighlightsText before validation', () => {
+        const { data, problems, migratedFrom } = highlightsCore.parseHighlightsText(
+            JSON.stringify({ files: { 'a.js': { '#00FFAA50': [entry(0, 0, 0, 1)] } } }),
+            { layers: [MODEL_LAYER] }
+        );
+
+        assert.equal(migratedFrom, 1);
+        assert.deepEqual(problems, []);
+        assert.deepEqual(data.files['a.js'].model, [entry(0, 0, 0, 1)]);
+    });
+
+    it('rejects data that is not an object, has an unknown version or is too new', () => {
+        assert.throws(() => highlightsCore.migrateHighlightsData([]), /must contain a JSON object/);
+        assert.throws(() => highlightsCore.migrateHighlightsData({ version: 'two' }), /unknown highlights.json version/);
+        assert.throws(
+            () => highlightsCore.migrateHighlightsData({ version: highlightsCore.HIGHLIGHTS_SCHEMA_VERSION + 1 }),
+            /newer version/
+        );
+    });
+
+});
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+describe('validateHighlightsData', () => {
+    it('keeps valid data without problems', () => {
+        const input = {
+            version: 3,
+            layers: { model: { name: 'Model', color: '#00FFAA50' } },
+            files: { 'a.js': { model: [entry(0, 0, 1, 2, { note: 'n', tags: ['t'], auto: true })] } },
+            rules: [{ glob: 'src/models/**', layer: 'model' }]
+        };
+        const { data, problems } = highlightsCore.validateHighlightsData(input);
+
+        assert.deepEqual(problems, []);
+        assert.deepEqual(data, input);
+    });
+
+    it('skips invalid layers and entries and reports where they were', () => {
+        const { data, problems } = highlightsCore.validateHighlightsData({
+            version: 3,
+            layers: {
+                model: { color: '#00FFAA50' },
+                'Bad Id': { color: '#00FFAA50' },
+                view: { color: 'blue' }
+            },
+            files: {
+                'a.js': {
+                    model: [
+                        entry(0, 0, 0, 5),
+                        entry(3, 0, 1, 0),
+                        entry(0, -1, 0, 2),
+                        entry(0, 0, 0, 1, { tags: 'tag' }),
+                        'not an entry'
+                    ],
+                    view: 'not an array'
+                },
+                'b.js': [],
+                'c.js': { model: [entry(2, 0, 1, 0)] }
+            }
+        });
+
+        assert.deepEqual(Object.keys(data.layers), ['model']);
+        assert.deepEqual(data.files, { 'a.js': { model: [entry(0, 0, 0, 5)] } });
+        assert.deepEqual(problems, [
+            'layers["Bad Id"]: invalid layer id',
+            'layers["view"]: must be an object with a valid color',
+            'files["a.js"]["model"][1]: range ends before it starts',
+            'files["a.js"]["model"][2]: startCharacter must be a non-negative integer',
+            'files["a.js"]["model"][3]: tags must be an array of strings',
+            'files["a.js"]["model"][4]: must be an object',
+            'files["a.js"]["view"]: must be an array of ranges',
+            'files["b.js"]: must be an object of layers',
+            'files["c.js"]["model"][0]: range ends before it starts'
+        ]);
+    });
+
+    it('drops invalid rules', () => {
+        const { data, problems } = highlightsCore.validateHighlightsData({
+            version: 3,
+            files: {},
+            rules: [{ glob: 'src/**', layer: 'model' }, 'not a rule']
+        });
+
+        assert.equal(data.rules.length, 1);
+        assert.equal(problems.length, 1);
+        assert.match(problems[0], /^rules\[1\]: /);
+    });
+
+    it('drops an invalid palette', () => {
+        const { data, problems } = highlightsCore.validateHighlightsData({
+            version: 3,
+            files: {},
+            palette: { name: 'Team', layers: [] }
+        });
+
+        assert.equal(data.palette, undefined);
+        assert.deepEqual(problems, ['"palette" has no valid layers']);
+    });
+
+    it('reports a files field that is not an object', () => {
+        const { data, problems } = highlightsCore.validateHighlightsData({ version: 3, files: [] });
+
+        assert.deepEqual(data.files, {});
+        assert.deepEqual(problems, ['"files" must be an object']);
+    });
+});
+
+// ============================================================================
+// ANCHORING
+// ============================================================================
+
+describe('relocateHighlightEntry', () => {
+    const text = 'const x = 1;\nfunction hello() {\n    return 42;\n}\n';
+    const start = text.indexOf('function');
+    const end = text.indexOf('}') + 1;
+
+    it('keeps the saved range while the text is still there', () => {
+        const saved = anchoredEntry(text, start, end);
+        const location = highlightsCore.relocateHighlightEntry(saved, text);
+
+        assert.deepEqual(location, { start: { line: 1, character: 0 }, end: { line: 3, character: 1 }, orphaned: false });
+    });
+
+    it('follows the text when lines are added above it', () => {
+        const saved = anchoredEntry(text, start, end);
+        const location = highlightsCore.relocateHighlightEntry(saved, '// header\n\n' + text);
+
+        assert.deepEqual(location, { start: { line: 3, character: 0 }, end: { line: 5, character: 1 }, orphaned: false });
+    });
+
+    it('survives reformatting', () => {
+        const saved = anchoredEntry(text, start, end);
+        const reformatted = 'const x = 1;\nfunction hello()\n{\n  return 42;\n}\n';
+        const location = highlightsCore.relocateHighlightEntry(saved, reformatted);
+
+        assert.equal(location.orphaned, false);
+        assert.equal(reformatted.substring(
+            reformatted.indexOf('function'),
+            highlightsCore.positionToOffset(highlightsCore.getLineOffsets(reformatted), location.end.line, location.end.character)
+        ), 'function hello()\n{\n  return 42;\n}');
+    });
+
+    it('marks the entry orphaned when its code is gone and keeps the saved range', () => {
+        const saved = anchoredEntry(text, start, end);
+        const location = highlightsCore.relocateHighlightEntry(saved, 'const x = 1;\nconst y = 2;\n');
+
+        assert.deepEqual(location, { start: { line: 1, character: 0 }, end: { line: 3, character: 1 }, orphaned: true });
+    });
+
+    it('keeps the saved range of entries without an anchor or without file text', () => {
+        const plain = entry(1, 0, 3, 1);
+        assert.equal(highlightsCore.relocateHighlightEntry(plain, 'other text').orphaned, false);
+        assert.equal(highlightsCore.relocateHighlightEntry(anchoredEntry(text, start, end), null).orphaned, false);
+    });
+
+    it('counts the anchored entries found in another text', () => {
+        const fileData = { model: [anchoredEntry(text, start, end), entry(0, 0, 0, 5)] };
+
+        assert.equal(highlightsCore.countRelocatedEntries(fileData, '\n' + text), 1);
+        assert.equal(highlightsCore.countRelocatedEntries(fileData, 'nothing here\n'), 0);
+    });
+});
+
+// ============================================================================
+// MERGE
+// ============================================================================
+
+describe('mergeHighlightsData', () => {
+    const layers = { model: { color: '#00FFAA50' } };
+
+    it('takes the side that changed a file', () => {
+        const base = { files: { 'a.js': { model: [entry(0, 0, 0, 1)] }, 'b.js': { model: [entry(0, 0, 0, 1)] } } };
+        const ours = { layers, files: { 'a.js': { model: [entry(0, 0, 0, 2)] }, 'b.js': base.files['b.js'] } };
+        const theirs = { layers, files: { 'a.js': base.files['a.js'] } };
+        const { data, conflictingFiles } = highlightsCore.mergeHighlightsData(base, ours, theirs);
+
+        assert.deepEqual(data.files, { 'a.js': { model: [entry(0, 0, 0, 2)] } });
+        assert.deepEqual(conflictingFiles, []);
+    });
+
+    it('merges highlights added and removed on both sides of the same file', () => {
+        const base = { files: { 'a.js': { model: [entry(0, 0, 0, 1), entry(1, 0, 1, 1)] } } };
+        const ours = { layers, files: { 'a.js': { model: [entry(0, 0, 0, 1), entry(1, 0, 1, 1), entry(2, 0, 2, 1)] } } };
+        const theirs = { layers, files: { 'a.js': { model: [entry(1, 0, 1, 1)], view: [entry(3, 0, 3, 1)] } } };
+        const { data, conflictingFiles } = highlightsCore.mergeHighlightsData(base, ours, theirs);
+
+        assert.deepEqual(conflictingFiles, ['a.js']);
+        assert.deepEqual(data.files['a.js'], {
+            model: [entry(1, 0, 1, 1), entry(2, 0, 2, 1)],
+            view: [entry(3, 0, 3, 1)]
+        });
+    });
+
+    it('keeps the metadata of the side that changed it', () => {
+        const base = { files: { 'a.js': { model: [entry(0, 0, 0, 1)] } } };
+        const ours = { layers, files: { 'a.js': { model: [entry(0, 0, 0, 1, { note: 'ours' })] } } };
+        const theirs = { layers, files: { 'a.js': { model: [entry(0, 0, 0, 1)], view: [entry(1, 0, 1, 1)] } } };
+        const { data } = highlightsCore.mergeHighlightsData(base, ours, theirs);
+
+        assert.deepEqual(data.files['a.js'].model, [entry(0, 0, 0, 1, { note: 'ours' })]);
+    });
+
+    it('takes the layers of both sides, theirs winning', () => {
+        const ours = { layers: { model: { color: '#111111' }, view: { color: '#222222' } }, files: {} };
+        const theirs = { layers: { model: { color: '#333333' } }, files: {}, rules: [] };
+        const { data } = highlightsCore.mergeHighlightsData({ files: {} }, ours, theirs);
+
+        assert.deepEqual(data.layers, { model: { color: '#333333' }, view: { color: '#222222' } });
+        assert.deepEqual(data.rules, []);
+    });
+});
+
+describe('mergeHighlightsBranches', () => {
+    it('reports a range highlighted in different layers on each side and keeps both', () => {
+        const base = { files: {} };
+        const ours = { layers: {}, files: { 'a.js': { model: [entry(0, 0, 0, 1)] } } };
+        const theirs = { layers: {}, files: { 'a.js': { view: [entry(0, 0, 0, 1)] } } };
+        const { data, conflicts } = highlightsCore.mergeHighlightsBranches(base, ours, theirs);
+
+        assert.deepEqual(Object.keys(data.files['a.js']).sort(), ['model', 'view']);
+        assert.deepEqual(conflicts, [{
+            filePath: 'a.js',
+            range: entry(0, 0, 0, 1),
+            oursLayerIds: ['model'],
+            theirsLayerIds: ['view']
+        }]);
+
+        const resolved = highlightsCore.resolveMergeConflicts(data, conflicts, ['theirs']);
+        assert.deepEqual(resolved.files, { 'a.js': { view: [entry(0, 0, 0, 1)] } });
+    });
+
+    it('takes the hand-edited fields from the side that changed them', () => {
+        const rules = [{ glob: 'src/**', layer: 'model' }];
+        const base = { files: {}, rules };
+        const ours = { layers: {}, files: {}, rules, palette: { layers: [] } };
+        const theirs = { layers: {}, files: {}, rules: [] };
+        const { data, conflicts } = highlightsCore.mergeHighlightsBranches(base, ours, theirs);
+
+        assert.deepEqual(data.rules, []);
+        assert.deepEqual(data.palette, { layers: [] });
+        assert.deepEqual(conflicts, []);
+    });
+
+    it('reports a hand-edited field changed differently on each side', () => {
+        const base = { files: {}, rules: [] };
+        const ours = { layers: {}, files: {}, rules: [{ glob: 'a/**', layer: 'model' }] };
+        const theirs = { layers: {}, files: {}, rules: [{ glob: 'b/**', layer: 'model' }] };
+        const { data, conflicts } = highlightsCore.mergeHighlightsBranches(base, ours, theirs);
+
+        assert.deepEqual(data.rules, ours.rules);
+        assert.deepEqual(conflicts, [{ field: 'rules', ours: ours.rules, theirs: theirs.rules }]);
+    });
+});
+
+describe('conflict markers', () => {
+    it('round-trips two versions through conflict markers', () => {
+        const ours = '{\n  "a": 1,\n  "b": 2\n}';
+        const theirs = '{\n  "a": 1,\n  "b": 3\n}';
+        const text = highlightsCore.formatConflictMarkers(ours, theirs, { ours: 'HEAD', theirs: 'feature' });
+
+        assert.equal(highlightsCore.hasConflictMarkers(text), true);
+        assert.deepEqual(highlightsCore.splitConflictMarkers(text), {
+            ours,
+            theirs,
+            base: null,
+            oursLabel: 'HEAD',
+            theirsLabel: 'feature'
+        });
+    });
+
+    it('rejects a conflict that is not closed', () => {
+        assert.throws(() => highlightsCore.splitConflictMarkers('<<<<<<< HEAD\na\n=======\nb\n'), /not closed/);
+    });
+});
+
+// ============================================================================
+// WORKSPACE
+// ============================================================================
+
+describe('workspace paths', () => {
+    const root = path.resolve('workspace');
+
+    it('keys files with forward slashes', () => {
+        assert.equal(highlightsCore.normalizeWorkspacePath('src\\models\\user.js'), 'src/models/user.js');
+        assert.equal(highlightsCore.normalizeWorkspacePath('src/models/user.js'), 'src/models/user.js');
+    });
+
+    it('resolves keys written with backslashes', () => {
+        const expected = path.join(root, 'src', 'models', 'user.js');
+        assert.equal(highlightsCore.resolveWorkspacePath(root, 'src\\models\\user.js'), expected);
+        assert.equal(highlightsCore.resolveWorkspacePath(root, 'src/models/user.js'), expected);
+    });
+
+    it('keeps the files of keys written with backslashes when pruning', () => {
+        const existing = new Set([path.join(root, 'src', 'models', 'user.js')]);
+        const data = {
+            layers: { model: { color: MODEL_LAYER.value } },
+            files: {
+                'src\\models\\user.js': { model: [entry(0, 0, 1, 0)] },
+                'src\\models\\gone.js': { model: [entry(0, 0, 1, 0)] }
+            }
+        };
+
+        const result = highlightsCore.pruneMissingFiles(data, filePath => existing.has(highlightsCore.resolveWorkspacePath(root, filePath)));
+
+        assert.deepEqual(Object.keys(result.data.files), ['src\\models\\user.js']);
+        assert.deepEqual(result.removedFiles, ['src\\models\\gone.js']);
+    });
+});
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+describe('buildCoverageReport', () => {
+    it('rolls files keyed with backslashes up into their folders', () => {
+        const report = highlightsCore.buildCoverageReport([{
+            name: 'app',
+            data: { files: { 'src\\models\\user.js': { model: [entry(0, 0, 2, 0)] } } },
+            files: [
+                { path: 'src\\models\\user.js', lineCount: 4 },
+                { path: 'src/index.js', lineCount: 4 }
+            ]
+        }], { getLayer: () => MODEL_LAYER });
+
+        assert.deepEqual(report.files.map(file => [file.path, file.coveredLines]), [
+            ['src/index.js', 0],
+            ['src/models/user.js', 2]
+        ]);
+        assert.deepEqual(report.folders.map(folder => [folder.path, folder.files, folder.coveredLines]), [
+            ['', 2, 2],
+            ['src', 2, 2],
+            ['src/models', 1, 2]
+        ]);
+    });
+});